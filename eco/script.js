@@ -1,36 +1,132 @@
 // Member Directory JavaScript
 // Version 2 - Enhanced with accessibility and functionality
 
-// Brand Switcher
 document.addEventListener('DOMContentLoaded', function() {
+    // Initialize search functionality
+    initializeSearch();
+
+    // Add keyboard navigation for result rows
+    initializeKeyboardNavigation();
+
+    // Copy-link and profile actions, and #member/<id> routes
+    initializeMemberLinks();
+
+    // Brands can set default filters, so pick the brand before restoring the
+    // view and loading the member dataset
+    initializeBrands().then(() => {
+        readStateFromUrl();
+        if (!hasFilterParams()) {
+            applyBrandDefaultFilters(getBrand(document.getElementById('brand-select').value));
+        }
+        loadMembers();
+    });
+});
+
+// Brand Switcher
+// Brands are listed in brands.json: id, name, label, stylesheet, logo, website and
+// defaultFilters ({ designation: [...], status: [...], province: [...],
+// specialization: [...] }). A ?brand= URL parameter wins over the saved preference
+// so an embedding site can force a theme.
+const FALLBACK_BRAND_REGISTRY = {
+    defaultBrand: 'eco',
+    brands: [
+        { id: 'eco', name: 'ECO Canada', label: 'ECO Canada Theme', stylesheet: 'styles-eco.css', logo: 'ECO_Logo.svg', website: 'https://eco.ca', defaultFilters: {} },
+        { id: 'oac', name: 'Ocean Alliance Canada', label: 'Ocean Alliance Theme', stylesheet: 'styles-oac.css', logo: 'OAC_logo.png', website: 'https://oceanalliancecanada.com', defaultFilters: {} }
+    ]
+};
+
+let brandRegistry = FALLBACK_BRAND_REGISTRY;
+let forcedBrand = null;
+
+function loadBrandRegistry() {
+    return fetch('brands.json')
+        .then(response => {
+            if (!response.ok) {
+                throw new Error(`Could not load brands.json (HTTP ${response.status})`);
+            }
+            return response.json();
+        })
+        .then(registry => {
+            if (!registry || !Array.isArray(registry.brands) || registry.brands.length === 0) {
+                throw new Error('brands.json does not list any brands');
+            }
+            brandRegistry = registry;
+        })
+        .catch(err => {
+            console.error('Brand registry failed to load, using built-in brands:', err);
+        });
+}
+
+function getBrand(id) {
+    return brandRegistry.brands.find(brand => brand.id === id) || null;
+}
+
+function initializeBrands() {
     const brandSelect = document.getElementById('brand-select');
-    const brandStylesLink = document.getElementById('brand-styles');
 
-    // Load saved preference
-    const savedBrand = localStorage.getItem('brandTheme') || 'eco';
-    brandSelect.value = savedBrand;
-    updateBrandTheme(savedBrand);
+    return loadBrandRegistry().then(() => {
+        brandSelect.innerHTML = brandRegistry.brands
+            .map(brand => `<option value="${escapeHtml(brand.id)}">${escapeHtml(brand.label || brand.name)}</option>`)
+            .join('');
+
+        const urlBrand = new URLSearchParams(window.location.search).get('brand');
+        const savedBrand = localStorage.getItem('brandTheme');
+        forcedBrand = getBrand(urlBrand) ? urlBrand : null;
 
-    brandSelect.addEventListener('change', function() {
-        const selectedBrand = this.value;
-        updateBrandTheme(selectedBrand);
-        localStorage.setItem('brandTheme', selectedBrand);
+        const brandId = forcedBrand ||
+            (getBrand(savedBrand) ? savedBrand : null) ||
+            (getBrand(brandRegistry.defaultBrand) ? brandRegistry.defaultBrand : brandRegistry.brands[0].id);
+
+        brandSelect.value = brandId;
+        updateBrandTheme(brandId);
+
+        brandSelect.addEventListener('change', function() {
+            const selectedBrand = this.value;
+            updateBrandTheme(selectedBrand);
+            localStorage.setItem('brandTheme', selectedBrand);
+
+            // Keep a forced brand in the URL in step with the user's choice
+            if (forcedBrand) {
+                forcedBrand = selectedBrand;
+                writeStateToUrl('replace');
+            }
+        });
     });
+}
 
-    function updateBrandTheme(brand) {
-        if (brand === 'eco') {
-            brandStylesLink.href = 'styles-eco.css';
-        } else if (brand === 'oac') {
-            brandStylesLink.href = 'styles-oac.css';
-        }
-    }
+function updateBrandTheme(brandId) {
+    const brand = getBrand(brandId);
+    if (!brand) return;
 
-    // Initialize search functionality
-    initializeSearch();
+    document.getElementById('brand-styles').href = brand.stylesheet;
+    document.documentElement.dataset.brand = brand.id;
+    renderBrandLogos(brand.id);
+}
 
-    // Add keyboard navigation for result rows
-    initializeKeyboardNavigation();
-});
+// Every brand's logo links to its website, with the current brand's first
+function renderBrandLogos(activeBrandId) {
+    const brands = brandRegistry.brands.slice().sort((a, b) => (b.id === activeBrandId) - (a.id === activeBrandId));
+
+    document.getElementById('logos-wrapper').innerHTML = brands.map(brand => {
+        const content = `
+            <img src="${escapeHtml(brand.logo)}" alt="${escapeHtml(brand.name)} Logo" class="logo logo-${escapeHtml(brand.id)}">
+            <span class="tooltiptext logo-tooltip">${escapeHtml(brand.name)}</span>`;
+        return brand.website
+            ? `<a class="logo-container tooltip" href="${escapeHtml(brand.website)}" aria-label="${escapeHtml(brand.name)}">${content}</a>`
+            : `<div class="logo-container tooltip">${content}</div>`;
+    }).join('');
+}
+
+function applyBrandDefaultFilters(brand) {
+    const defaults = (brand && brand.defaultFilters) || {};
+
+    Object.keys(defaults).forEach(group => {
+        const values = defaults[group] || [];
+        getFilterCheckboxes(group).forEach(checkbox => {
+            if (values.includes(checkbox.value)) checkbox.checked = true;
+        });
+    });
+}
 
 // Toggle Specializations
 function toggleSpecializations(id, button) {
@@ -66,13 +162,15 @@ function toggleDetails(detailsId) {
         }
     });
 
-    // Toggle the clicked one
+    // Toggle the clicked one, keeping the #member/<id> link in step
     if (isActive) {
         details.classList.remove('active');
         resultRow.setAttribute('aria-expanded', 'false');
+        setMemberHash(null);
     } else {
         details.classList.add('active');
         resultRow.setAttribute('aria-expanded', 'true');
+        setMemberHash(details.dataset.memberId);
 
         // Smooth scroll to details
         setTimeout(() => {
@@ -96,7 +194,7 @@ function clearAllFilters() {
     });
 
     // Trigger search update
-    updateResults();
+    updateResults({ history: 'push' });
 
     // Announce to screen readers
     announceToScreenReader('All filters cleared');
@@ -111,41 +209,620 @@ function initializeSearch() {
     searchInput.addEventListener('input', function() {
         clearTimeout(debounceTimer);
         debounceTimer = setTimeout(() => {
-            updateResults();
+            updateResults({ history: 'replace' });
         }, 300);
     });
 
+    // Enter moves field:value operators out of the search box and into the checkboxes
+    searchInput.addEventListener('keydown', function(e) {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            clearTimeout(debounceTimer);
+            applySearchOperators();
+        }
+    });
+
     // Add event listeners to all filter checkboxes
     const checkboxes = document.querySelectorAll('input[type="checkbox"]');
     checkboxes.forEach(checkbox => {
-        checkbox.addEventListener('change', updateResults);
+        checkbox.addEventListener('change', () => updateResults({ history: 'push' }));
+    });
+}
+
+// Member Data
+// A data source is any object with a load() method that resolves to an array of
+// member certification records. The default reads members.json next to this page;
+// call setMemberDataSource() to plug in another backend.
+function createJsonMemberDataSource(url) {
+    return {
+        load() {
+            return fetch(url).then(response => {
+                if (!response.ok) {
+                    throw new Error(`Could not load ${url} (HTTP ${response.status})`);
+                }
+                return response.json();
+            }).then(data => Array.isArray(data) ? data : data.members);
+        }
+    };
+}
+
+let memberDataSource = createJsonMemberDataSource('members.json');
+let allMembers = [];
+let membersLoaded = false;
+
+function setMemberDataSource(source) {
+    memberDataSource = source;
+    return loadMembers();
+}
+
+function loadMembers() {
+    showLoading();
+    return Promise.resolve()
+        .then(() => memberDataSource.load())
+        .then(records => {
+            allMembers = (records || []).map(normalizeMember);
+            membersLoaded = true;
+            updateResults({ keepPage: true, history: 'replace' });
+            openMemberFromHash();
+        })
+        .catch(err => {
+            console.error('Member data failed to load:', err);
+            renderLoadError();
+        })
+        .finally(hideLoading);
+}
+
+// Fill in missing fields so filtering and rendering never see undefined
+function normalizeMember(record) {
+    const member = {
+        id: String(record.id),
+        memberId: String(record.memberId || record.id),
+        firstName: record.firstName || '',
+        lastName: record.lastName || '',
+        company: record.company || '',
+        designation: record.designation || '',
+        status: record.status || '',
+        certifiedSince: record.certifiedSince || '',
+        city: record.city || '',
+        province: record.province || '',
+        country: record.country || '',
+        specializations: Array.isArray(record.specializations) ? record.specializations : []
+    };
+    member.searchIndex = buildSearchIndex(member);
+    return member;
+}
+
+// Filtering
+// Search operators such as province:Alberta are merged into the matching checkbox group
+function getActiveFilters() {
+    const searchTerm = document.getElementById('search-input').value.trim();
+    const query = parseSearchQuery(searchTerm);
+
+    return {
+        searchTerm,
+        terms: query.terms,
+        designations: mergeValues(getSelectedValues('designation'), query.filters.designation),
+        statuses: mergeValues(getSelectedValues('status'), query.filters.status),
+        provinces: mergeValues(getSelectedValues('province'), query.filters.province),
+        specializations: mergeValues(getSelectedSpecializations(), query.filters.specialization)
+    };
+}
+
+function mergeValues(values, extra) {
+    return [...new Set([...values, ...extra])];
+}
+
+// Checkbox groups: the filter key in getActiveFilters() and the member values it tests
+const FILTER_GROUPS = [
+    { group: 'designation', key: 'designations', getValues: member => [member.designation] },
+    { group: 'status', key: 'statuses', getValues: member => [member.status] },
+    { group: 'province', key: 'provinces', getValues: member => [member.province] },
+    { group: 'specialization', key: 'specializations', getValues: member => member.specializations }
+];
+
+// Values are OR'ed within a group and groups are AND'ed together.
+// Pass ignoredKey to leave one group out, as the facet counts do.
+function filterMembers(members, filters, ignoredKey) {
+    return members.filter(member => FILTER_GROUPS.every(filterGroup =>
+        filterGroup.key === ignoredKey ||
+        matchesAny(filters[filterGroup.key], filterGroup.getValues(member))
+    ));
+}
+
+function matchesAny(selected, values) {
+    return selected.length === 0 || values.some(value => selected.includes(value));
+}
+
+// Search
+// Free text is matched token by token against each member's name, company,
+// designation and specializations. Accents and case are ignored, small typos
+// are tolerated, and every token must match something for a member to be kept.
+const SEARCH_FIELDS = [
+    { weight: 3, getText: member => `${member.firstName} ${member.lastName}` },
+    { weight: 2, getText: member => member.company },
+    { weight: 1.5, getText: member => member.designation },
+    { weight: 1, getText: member => member.specializations.join(' ') }
+];
+
+// Operator name -> filter group
+const SEARCH_OPERATORS = {
+    designation: 'designation',
+    status: 'status',
+    province: 'province',
+    specialization: 'specialization',
+    spec: 'specialization'
+};
+
+// Words to highlight per certification ID, filled in by searchMembers()
+let searchHighlights = new Map();
+
+function normalizeText(text) {
+    return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function tokenize(text) {
+    return normalizeText(text).split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+function buildSearchIndex(member) {
+    return SEARCH_FIELDS.map(field => ({
+        weight: field.weight,
+        words: tokenize(field.getText(member))
+    }));
+}
+
+function getFilterCheckboxes(group) {
+    return group === 'specialization'
+        ? document.querySelectorAll('#ep-spec input[type="checkbox"], #sbep-spec input[type="checkbox"]')
+        : document.querySelectorAll(`input[name="${group}"]`);
+}
+
+// Match an operator value to a checkbox value: exact first, then a unique prefix
+function resolveOperatorValue(group, value) {
+    const wanted = tokenize(value).join(' ');
+    if (!wanted) return null;
+
+    const options = Array.from(getFilterCheckboxes(group)).map(cb => cb.value);
+    const exact = options.find(option => tokenize(option).join(' ') === wanted);
+    if (exact) return exact;
+
+    const prefixed = options.filter(option => tokenize(option).join(' ').startsWith(wanted));
+    return prefixed.length === 1 ? prefixed[0] : null;
+}
+
+// Split the search box into free-text terms and field:value operators.
+// Operators that don't resolve to a checkbox stay in the free text.
+function parseSearchQuery(raw) {
+    const filters = { designation: [], status: [], province: [], specialization: [] };
+    const operators = [];
+
+    const text = raw.replace(/(\w+):(?:"([^"]*)"|(\S+))/g, (match, name, quoted, bare) => {
+        const group = SEARCH_OPERATORS[name.toLowerCase()];
+        const value = group && resolveOperatorValue(group, quoted !== undefined ? quoted : bare);
+        if (!value) return match;
+
+        filters[group].push(value);
+        operators.push({ group, value });
+        return ' ';
+    }).replace(/\s+/g, ' ').trim();
+
+    return { text, terms: tokenize(text), filters, operators };
+}
+
+function applySearchOperators() {
+    const searchInput = document.getElementById('search-input');
+    const query = parseSearchQuery(searchInput.value);
+
+    query.operators.forEach(({ group, value }) => {
+        getFilterCheckboxes(group).forEach(checkbox => {
+            if (checkbox.value === value) checkbox.checked = true;
+        });
+    });
+    searchInput.value = query.text;
+
+    updateResults({ history: 'push' });
+
+    if (query.operators.length) {
+        announceToScreenReader(`Applied filters: ${query.operators.map(op => op.value).join(', ')}`);
+    }
+}
+
+// Edit distance with adjacent transpositions counted as one edit
+function editDistance(a, b) {
+    const rows = [];
+    for (let i = 0; i <= a.length; i++) {
+        rows.push([i]);
+        for (let j = 1; j <= b.length; j++) {
+            if (i === 0) {
+                rows[i][j] = j;
+                continue;
+            }
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return rows[a.length][b.length];
+}
+
+// Score how well one search token matches one word, and what to highlight
+function scoreWord(term, word) {
+    if (word === term) return { score: 10, highlight: { text: term, anywhere: false } };
+    if (word.startsWith(term)) return { score: 7, highlight: { text: term, anywhere: false } };
+    if (term.length >= 3 && word.includes(term)) return { score: 4, highlight: { text: term, anywhere: true } };
+
+    if (term.length >= 4) {
+        const maxEdits = term.length >= 7 ? 2 : 1;
+        if (Math.abs(term.length - word.length) <= maxEdits) {
+            const edits = editDistance(term, word);
+            if (edits <= maxEdits) {
+                return { score: 4 - edits, highlight: { text: word, anywhere: false } };
+            }
+        }
+    }
+    return null;
+}
+
+function scoreMember(member, terms) {
+    let total = 0;
+    const highlights = [];
+
+    for (const term of terms) {
+        let best = null;
+        member.searchIndex.forEach(field => {
+            field.words.forEach(word => {
+                const match = scoreWord(term, word);
+                if (match && (!best || match.score * field.weight > best.score)) {
+                    best = { score: match.score * field.weight, highlight: match.highlight };
+                }
+            });
+        });
+
+        if (!best) return null;
+        total += best.score;
+        highlights.push(best.highlight);
+    }
+
+    return { score: total, highlights };
+}
+
+function matchesTerms(member, terms) {
+    return terms.length === 0 || scoreMember(member, terms) !== null;
+}
+
+// Returns the members matching every term, most relevant first
+function searchMembers(members, terms) {
+    searchHighlights = new Map();
+
+    if (terms.length === 0) {
+        return members.slice().sort(compareMembers);
+    }
+
+    const ranked = [];
+    members.forEach(member => {
+        const match = scoreMember(member, terms);
+        if (match) {
+            ranked.push({ member, score: match.score });
+            searchHighlights.set(member.id, match.highlights);
+        }
+    });
+
+    return ranked
+        .sort((a, b) => b.score - a.score || compareMembers(a.member, b.member))
+        .map(entry => entry.member);
+}
+
+// Escape text for HTML and wrap the parts that matched the search in <mark>
+function highlightMatches(text, memberId) {
+    const highlights = searchHighlights.get(memberId);
+    const original = String(text);
+    if (!highlights || highlights.length === 0) return escapeHtml(original);
+
+    // Normalise character by character so matches map back to the original text
+    let normalized = '';
+    const sourceIndex = [];
+    for (let i = 0; i < original.length; i++) {
+        for (const char of normalizeText(original[i])) {
+            normalized += char;
+            sourceIndex.push(i);
+        }
+    }
+
+    const marked = new Array(original.length).fill(false);
+    highlights.forEach(({ text: term, anywhere }) => {
+        let index = normalized.indexOf(term);
+        while (index !== -1) {
+            const atWordStart = index === 0 || !/[a-z0-9]/.test(normalized[index - 1]);
+            if (anywhere || atWordStart) {
+                for (let k = index; k < index + term.length; k++) {
+                    marked[sourceIndex[k]] = true;
+                }
+            }
+            index = normalized.indexOf(term, index + 1);
+        }
+    });
+
+    let html = '';
+    for (let i = 0; i < original.length; i++) {
+        if (marked[i] && !marked[i - 1]) html += '<mark class="search-highlight">';
+        html += escapeHtml(original[i]);
+        if (marked[i] && !marked[i + 1]) html += '</mark>';
+    }
+    return html;
+}
+
+function compareMembers(a, b) {
+    return a.lastName.localeCompare(b.lastName) ||
+        a.firstName.localeCompare(b.firstName) ||
+        a.memberId.localeCompare(b.memberId) ||
+        a.certifiedSince.localeCompare(b.certifiedSince);
+}
+
+// Sorting
+// sortKeys is ordered by priority. Clicking a column header makes it the primary
+// key (or flips its direction); Shift+click adds it as a secondary key. The sort
+// is stable, so ties keep the relevance or alphabetical order underneath.
+const SORT_COLUMNS = {
+    name: { label: 'Name', getValue: member => `${member.lastName} ${member.firstName}` },
+    company: { label: 'Company', getValue: member => member.company },
+    designation: { label: 'Designation', getValue: member => member.designation },
+    province: { label: 'Province', getValue: member => member.province },
+    status: { label: 'Status', getValue: member => member.status }
+};
+const MAX_SORT_KEYS = 3;
+const sortCollator = new Intl.Collator(undefined, { sensitivity: 'base', numeric: true });
+let sortKeys = [];
+
+function sortResults(members) {
+    if (sortKeys.length === 0) return members;
+
+    return members.slice().sort((a, b) => {
+        for (const { key, direction } of sortKeys) {
+            const getValue = SORT_COLUMNS[key].getValue;
+            const result = sortCollator.compare(getValue(a), getValue(b));
+            if (result !== 0) {
+                return direction === 'desc' ? -result : result;
+            }
+        }
+        return 0;
+    });
+}
+
+function setSortColumn(key, addAsSecondary) {
+    const existing = sortKeys.find(sortKey => sortKey.key === key);
+
+    if (addAsSecondary) {
+        if (existing) {
+            existing.direction = existing.direction === 'asc' ? 'desc' : 'asc';
+        } else {
+            sortKeys = [...sortKeys, { key, direction: 'asc' }].slice(0, MAX_SORT_KEYS);
+        }
+    } else {
+        const isPrimary = sortKeys[0] && sortKeys[0].key === key;
+        const direction = isPrimary && sortKeys[0].direction === 'asc' ? 'desc' : 'asc';
+        sortKeys = [{ key, direction }];
+    }
+
+    updateResults({ history: 'push' });
+    announceToScreenReader(`Sorted by ${describeSortOrder()}`);
+}
+
+function describeSortOrder() {
+    if (sortKeys.length === 0) return 'relevance';
+    return sortKeys
+        .map(({ key, direction }) => `${SORT_COLUMNS[key].label} (${direction === 'asc' ? 'ascending' : 'descending'})`)
+        .join(', then ');
+}
+
+function parseSortParam(value) {
+    return (value || '').split(',')
+        .map(part => part.trim())
+        .filter(part => SORT_COLUMNS[part.replace(/^-/, '')])
+        .map(part => ({ key: part.replace(/^-/, ''), direction: part.startsWith('-') ? 'desc' : 'asc' }))
+        .slice(0, MAX_SORT_KEYS);
+}
+
+function formatSortParam() {
+    return sortKeys.map(({ key, direction }) => (direction === 'desc' ? '-' : '') + key).join(',');
+}
+
+function renderSortHeaders() {
+    document.querySelectorAll('.sort-header').forEach(header => {
+        const key = header.dataset.sort;
+        const index = sortKeys.findIndex(sortKey => sortKey.key === key);
+        const sortKey = sortKeys[index];
+        const indicator = header.querySelector('.sort-indicator');
+
+        // aria-sort belongs on the primary column only
+        header.setAttribute('aria-sort', index === 0
+            ? (sortKey.direction === 'asc' ? 'ascending' : 'descending')
+            : 'none');
+
+        if (!sortKey) {
+            indicator.textContent = '';
+        } else {
+            const arrow = sortKey.direction === 'asc' ? '▲' : '▼';
+            indicator.textContent = sortKeys.length > 1 ? `${arrow}${index + 1}` : arrow;
+        }
+    });
+}
+
+function initializeSorting() {
+    document.querySelectorAll('.sort-header button').forEach(button => {
+        button.addEventListener('click', function(e) {
+            setSortColumn(this.parentElement.dataset.sort, e.shiftKey);
+        });
+    });
+}
+
+// Update Results
+let lastEmptyOptions = 0;
+
+// Options:
+//   keepPage - stay on the current page instead of going back to page 1
+//   history  - 'push' or 'replace' to write the view into the URL, 'none' to leave it
+function updateResults(options = {}) {
+    if (!membersLoaded) return;
+
+    const filters = getActiveFilters();
+    currentResults = sortResults(searchMembers(filterMembers(allMembers, filters), filters.terms));
+
+    if (!options.keepPage) {
+        pagination.page = 1;
+        setMemberHash(null);
+    }
+
+    renderCurrentPage();
+    renderSortHeaders();
+    const emptyOptions = updateFacetCounts(filters);
+    writeStateToUrl(options.history || 'none');
+
+    // Announce to screen readers, mentioning empty filter options only when their number changes
+    const emptyMessage = emptyOptions > 0 && emptyOptions !== lastEmptyOptions
+        ? `. ${emptyOptions} filter options have no matching members`
+        : '';
+    lastEmptyOptions = emptyOptions;
+    announceToScreenReader(`${currentResults.length} results found${emptyMessage}`);
+}
+
+// Facet Counts
+// Each checkbox shows how many results it would give combined with the search
+// and the other groups' selections. Options with no matches are disabled unless
+// already ticked, so they can still be cleared.
+function updateFacetCounts(filters) {
+    const searched = allMembers.filter(member => matchesTerms(member, filters.terms));
+    let emptyOptions = 0;
+
+    FILTER_GROUPS.forEach(filterGroup => {
+        const counts = new Map();
+        filterMembers(searched, filters, filterGroup.key).forEach(member => {
+            filterGroup.getValues(member).forEach(value => {
+                counts.set(value, (counts.get(value) || 0) + 1);
+            });
+        });
+
+        getFilterCheckboxes(filterGroup.group).forEach(checkbox => {
+            const count = counts.get(checkbox.value) || 0;
+            setFacetCount(checkbox, count);
+            if (count === 0) emptyOptions++;
+        });
     });
+
+    return emptyOptions;
 }
 
-// Update Results (placeholder function)
-function updateResults() {
-    // This would connect to a backend API in production
-    const searchTerm = document.getElementById('search-input').value.toLowerCase();
-    const selectedDesignations = getSelectedValues('designation');
-    const selectedStatuses = getSelectedValues('status');
-    const selectedProvinces = getSelectedValues('province');
-    const selectedSpecializations = getSelectedSpecializations();
+function setFacetCount(checkbox, count) {
+    const label = document.querySelector(`label[for="${checkbox.id}"]`);
+    if (!label) return;
+
+    let countSpan = label.querySelector('.facet-count');
+    if (!countSpan) {
+        countSpan = document.createElement('span');
+        countSpan.className = 'facet-count';
+        label.insertBefore(countSpan, label.querySelector('.tooltiptext'));
+    }
+    countSpan.textContent = ` (${count})`;
+
+    const isEmpty = count === 0;
+    checkbox.disabled = isEmpty && !checkbox.checked;
+    checkbox.parentElement.classList.toggle('facet-empty', isEmpty);
+}
+
+// Rendering
+function renderCurrentPage() {
+    const total = currentResults.length;
+    const pageCount = getPageCount();
+    pagination.page = Math.min(Math.max(pagination.page, 1), pageCount);
+
+    const start = (pagination.page - 1) * pagination.pageSize;
+    const pageResults = currentResults.slice(start, start + pagination.pageSize);
+
+    renderResults(pageResults);
+    renderPagination();
 
-    // For now, just update the count display
     const resultsCount = document.getElementById('results-count');
+    resultsCount.textContent = total === 0
+        ? 'Results: 0'
+        : `Results: ${total} (showing ${start + 1}–${start + pageResults.length})`;
+}
 
-    // Mock filtering logic
-    let mockCount = 4500;
-    if (searchTerm) mockCount = Math.floor(mockCount * 0.7);
-    if (selectedDesignations.length > 0) mockCount = Math.floor(mockCount * 0.5);
-    if (selectedStatuses.length > 0) mockCount = Math.floor(mockCount * 0.6);
-    if (selectedProvinces.length > 0) mockCount = Math.floor(mockCount * 0.4);
-    if (selectedSpecializations.length > 0) mockCount = Math.floor(mockCount * 0.3);
+function renderResults(results) {
+    const resultsContainer = document.getElementById('results-container');
 
-    resultsCount.textContent = `Results: ${mockCount}`;
+    if (results.length === 0) {
+        resultsContainer.innerHTML = '<p class="no-results">No members match your search. Try removing some filters.</p>';
+        return;
+    }
 
-    // Announce to screen readers
-    announceToScreenReader(`${mockCount} results found`);
+    // Additional certifications for the same member are grouped under the first row
+    resultsContainer.innerHTML = results.map((member, index) => {
+        const previous = results[index - 1];
+        const isAdditionalCert = previous && previous.memberId === member.memberId;
+        return renderResultItem(member, isAdditionalCert);
+    }).join('');
+}
+
+function renderResultItem(member, isAdditionalCert) {
+    const detailsId = `details-${member.id}`;
+    const itemClass = isAdditionalCert ? 'result-item-additional-cert' : 'result-item';
+    const statusClass = `status-${member.status.toLowerCase().replace(/[^a-z]+/g, '-')}`;
+
+    return `
+        <div class="${itemClass}">
+            <div class="result-row" role="button" tabindex="0" aria-expanded="false" aria-controls="${escapeHtml(detailsId)}">
+                <div class="result-bullet" aria-hidden="true"></div>
+                <div class="result-content">
+                    <div class="result-name">${highlightMatches(`${member.firstName} ${member.lastName}`, member.id)}</div>
+                    <div class="result-company">${highlightMatches(member.company, member.id)}</div>
+                    <div class="result-designation">${highlightMatches(member.designation, member.id)} Certified Since: ${escapeHtml(member.certifiedSince)}</div>
+                    <div class="result-province">${escapeHtml(member.province)}</div>
+                    <div class="result-status ${statusClass}">${escapeHtml(member.status)}</div>
+                </div>
+            </div>
+            <div class="result-details" id="${escapeHtml(detailsId)}" data-member-id="${escapeHtml(member.id)}" role="region" aria-label="Member details">
+                <table class="detail-table">
+                    <tbody>
+                        ${renderDetailRow('Certification ID:', escapeHtml(member.id))}
+                        ${renderDetailRow('First Name:', highlightMatches(member.firstName, member.id))}
+                        ${renderDetailRow('Last Name:', highlightMatches(member.lastName, member.id))}
+                        ${renderDetailRow('Company:', highlightMatches(member.company, member.id))}
+                        ${renderDetailRow('Designation(s):', highlightMatches(member.designation, member.id))}
+                        ${renderDetailRow('Practicing Status:', escapeHtml(member.status))}
+                        ${renderDetailRow('Date Certified Since:', escapeHtml(member.certifiedSince))}
+                        ${renderDetailRow('City:', escapeHtml(member.city))}
+                        ${renderDetailRow('Province/Territory/State:', escapeHtml(member.province))}
+                        ${renderDetailRow('Country:', escapeHtml(member.country))}
+                        ${renderDetailRow('Area(s) of Specialization:', highlightMatches(member.specializations.join(', '), member.id))}
+                    </tbody>
+                </table>
+                <div class="detail-actions">
+                    <button type="button" class="detail-action-btn" data-action="copy-link" data-member-id="${escapeHtml(member.id)}">Copy link</button>
+                    <a class="detail-action-btn" href="${escapeHtml(getMemberHash(member.id, true))}">Printable profile</a>
+                </div>
+            </div>
+        </div>`;
+}
+
+// The value is expected to be HTML-escaped already
+function renderDetailRow(label, valueHtml) {
+    return `<tr><td>${label}</td><td>${valueHtml}</td></tr>`;
+}
+
+function renderLoadError() {
+    const resultsContainer = document.getElementById('results-container');
+    resultsContainer.innerHTML = '<p class="no-results" role="alert">The member directory could not be loaded. Please try again later.</p>';
+    document.getElementById('results-count').textContent = 'Results: 0';
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
 }
 
 // Get selected checkbox values by name
@@ -166,27 +843,56 @@ function getSelectedSpecializations() {
 
 // Keyboard Navigation
 function initializeKeyboardNavigation() {
-    const resultRows = document.querySelectorAll('.result-row');
+    // Result rows are re-rendered on every search, so listen on the container
+    const resultsContainer = document.getElementById('results-container');
 
-    resultRows.forEach(row => {
-        row.addEventListener('keydown', function(e) {
-            if (e.key === 'Enter' || e.key === ' ') {
-                e.preventDefault();
-                const detailsId = this.getAttribute('aria-controls');
-                if (detailsId) {
-                    toggleDetails(detailsId);
-                }
+    resultsContainer.addEventListener('click', function(e) {
+        const row = e.target.closest('.result-row');
+        if (row) {
+            toggleDetails(row.getAttribute('aria-controls'));
+        }
+    });
+
+    resultsContainer.addEventListener('keydown', function(e) {
+        const row = e.target.closest('.result-row');
+        if (!row) return;
+
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            const detailsId = row.getAttribute('aria-controls');
+            if (detailsId) {
+                toggleDetails(detailsId);
             }
-        });
+        } else if (['ArrowDown', 'ArrowUp', 'Home', 'End'].includes(e.key)) {
+            // Arrow keys move between rows on the current page
+            e.preventDefault();
+            const rows = Array.from(resultsContainer.querySelectorAll('.result-row'));
+            const index = rows.indexOf(row);
+            const target = {
+                ArrowDown: rows[index + 1],
+                ArrowUp: rows[index - 1],
+                Home: rows[0],
+                End: rows[rows.length - 1]
+            }[e.key];
+            if (target) target.focus();
+        }
     });
 
-    // Logo container keyboard support
-    const logoContainers = document.querySelectorAll('.logo-container');
-    logoContainers.forEach(container => {
-        container.addEventListener('keydown', function(e) {
-            if (e.key === 'Enter' || e.key === ' ') {
+    // Column headers: Left/Right move between columns, Shift+Enter adds a secondary sort
+    const sortButtons = Array.from(document.querySelectorAll('.sort-header button'));
+    sortButtons.forEach((button, index) => {
+        button.addEventListener('keydown', function(e) {
+            if (e.key === 'ArrowRight' || e.key === 'ArrowLeft') {
+                e.preventDefault();
+                const step = e.key === 'ArrowRight' ? 1 : -1;
+                sortButtons[(index + step + sortButtons.length) % sortButtons.length].focus();
+            } else if (e.key === 'ArrowDown') {
+                e.preventDefault();
+                const firstRow = resultsContainer.querySelector('.result-row');
+                if (firstRow) firstRow.focus();
+            } else if (e.key === 'Enter' && e.shiftKey) {
                 e.preventDefault();
-                this.click();
+                setSortColumn(this.parentElement.dataset.sort, true);
             }
         });
     });
@@ -214,41 +920,479 @@ function announceToScreenReader(message) {
     }, 100);
 }
 
-// Export to PDF (placeholder)
+// Export buttons and pagination
 document.addEventListener('DOMContentLoaded', function() {
-    const exportBtn = document.querySelector('.export-btn');
-    if (exportBtn) {
-        exportBtn.addEventListener('click', function() {
-            // This would trigger PDF generation in production
-            alert('Export to PDF functionality would be implemented here.');
-        });
-    }
-
-    // Pagination buttons (placeholder)
-    const pageButtons = document.querySelectorAll('.page-btn');
-    pageButtons.forEach(btn => {
+    const exportButtons = document.querySelectorAll('.export-btn');
+    exportButtons.forEach(btn => {
         btn.addEventListener('click', function() {
-            if (!this.classList.contains('active')) {
-                // Remove active class from all buttons
-                pageButtons.forEach(b => b.classList.remove('active'));
-
-                // Add active class to clicked button
-                this.classList.add('active');
-
-                // Scroll to top of results
-                document.querySelector('.results-panel').scrollIntoView({
-                    behavior: 'smooth',
-                    block: 'start'
-                });
-
-                // Announce page change
-                const pageNum = this.textContent;
-                announceToScreenReader(`Navigated to page ${pageNum}`);
+            if (this.dataset.format === 'csv') {
+                exportResultsToCsv();
+            } else {
+                exportResultsToPdf();
             }
         });
     });
+
+    // Pagination and column sorting
+    initializePagination();
+    initializeSorting();
+
+    // Restore the view when the user navigates back or forward
+    window.addEventListener('popstate', function() {
+        readStateFromUrl();
+        updateResults({ keepPage: true });
+    });
 });
 
+// Pagination
+const PAGE_SIZES = [10, 25, 50, 100];
+const pagination = { page: 1, pageSize: 25 };
+let currentResults = [];
+
+function initializePagination() {
+    const pageSizeSelect = document.getElementById('page-size');
+    pageSizeSelect.innerHTML = PAGE_SIZES
+        .map(size => `<option value="${size}">${size} per page</option>`)
+        .join('');
+    pageSizeSelect.value = pagination.pageSize;
+
+    pageSizeSelect.addEventListener('change', function() {
+        pagination.pageSize = parseInt(this.value, 10);
+        updateResults({ history: 'push' });
+    });
+
+    document.getElementById('page-buttons').addEventListener('click', function(e) {
+        const button = e.target.closest('.page-btn');
+        if (button && !button.disabled && !button.classList.contains('active')) {
+            goToPage(parseInt(button.dataset.page, 10));
+        }
+    });
+}
+
+function getPageCount() {
+    return Math.max(1, Math.ceil(currentResults.length / pagination.pageSize));
+}
+
+function goToPage(page) {
+    pagination.page = page;
+    setMemberHash(null);
+    renderCurrentPage();
+    writeStateToUrl('push');
+
+    // Scroll to top of results
+    document.querySelector('.results-panel').scrollIntoView({
+        behavior: 'smooth',
+        block: 'start'
+    });
+
+    announceToScreenReader(`Navigated to page ${pagination.page} of ${getPageCount()}`);
+}
+
+// First and last page are always shown, with up to two pages either side of the current one
+function getVisiblePages(current, pageCount) {
+    const pages = [];
+    for (let page = 1; page <= pageCount; page++) {
+        if (page === 1 || page === pageCount || Math.abs(page - current) <= 2) {
+            pages.push(page);
+        } else if (pages[pages.length - 1] !== '...') {
+            pages.push('...');
+        }
+    }
+    return pages;
+}
+
+function renderPagination() {
+    const current = pagination.page;
+    const pageCount = getPageCount();
+    const navButton = (page, text, label, disabled) =>
+        `<button class="page-btn page-nav-btn" data-page="${page}" aria-label="${label}"${disabled ? ' disabled' : ''}>${text}</button>`;
+
+    const numbers = getVisiblePages(current, pageCount).map(page => {
+        if (page === '...') {
+            return '<span aria-hidden="true">...</span>';
+        }
+        return page === current
+            ? `<button class="page-btn active" data-page="${page}" aria-label="Page ${page}, current page" aria-current="page">${page}</button>`
+            : `<button class="page-btn" data-page="${page}" aria-label="Page ${page}">${page}</button>`;
+    });
+
+    document.getElementById('page-buttons').innerHTML = [
+        navButton(1, '&laquo;', 'First page', current === 1),
+        navButton(current - 1, '&lsaquo;', 'Previous page', current === 1),
+        ...numbers,
+        navButton(current + 1, '&rsaquo;', 'Next page', current === pageCount),
+        navButton(pageCount, '&raquo;', 'Last page', current === pageCount)
+    ].join('');
+
+    document.getElementById('page-size').value = pagination.pageSize;
+}
+
+// URL State
+// Search, filters, sort order and paging live in the query string so a view can be bookmarked
+function writeStateToUrl(mode) {
+    if (mode !== 'push' && mode !== 'replace') return;
+
+    const searchTerm = document.getElementById('search-input').value.trim();
+    const params = new URLSearchParams();
+
+    if (forcedBrand) params.set('brand', forcedBrand);
+
+    // Operators stay in q, so only ticked checkboxes are written as filters
+    if (searchTerm) params.set('q', searchTerm);
+    getSelectedValues('designation').forEach(value => params.append('designation', value));
+    getSelectedValues('status').forEach(value => params.append('status', value));
+    getSelectedValues('province').forEach(value => params.append('province', value));
+    getSelectedSpecializations().forEach(value => params.append('specialization', value));
+    if (sortKeys.length) params.set('sort', formatSortParam());
+    if (pagination.page > 1) params.set('page', pagination.page);
+    if (pagination.pageSize !== PAGE_SIZES[1]) params.set('size', pagination.pageSize);
+
+    const query = params.toString();
+    const url = `${window.location.pathname}${query ? '?' + query : ''}${window.location.hash}`;
+
+    if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
+
+    if (mode === 'push') {
+        history.pushState(null, '', url);
+    } else {
+        history.replaceState(null, '', url);
+    }
+}
+
+function hasFilterParams() {
+    const params = new URLSearchParams(window.location.search);
+    return ['q', 'designation', 'status', 'province', 'specialization'].some(name => params.has(name));
+}
+
+function readStateFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+
+    document.getElementById('search-input').value = params.get('q') || '';
+
+    ['designation', 'status', 'province'].forEach(name => {
+        const values = params.getAll(name);
+        document.querySelectorAll(`input[name="${name}"]`).forEach(checkbox => {
+            checkbox.checked = values.includes(checkbox.value);
+        });
+    });
+
+    const specializations = params.getAll('specialization');
+    ['ep-spec', 'sbep-spec'].forEach(listId => {
+        let anyChecked = false;
+        document.querySelectorAll(`#${listId} input[type="checkbox"]`).forEach(checkbox => {
+            checkbox.checked = specializations.includes(checkbox.value);
+            anyChecked = anyChecked || checkbox.checked;
+        });
+
+        // Expand the list so restored selections are visible
+        const list = document.getElementById(listId);
+        if (anyChecked && !list.classList.contains('active')) {
+            toggleSpecializations(listId, document.querySelector(`[aria-controls="${listId}"]`));
+        }
+    });
+
+    sortKeys = parseSortParam(params.get('sort'));
+
+    const size = parseInt(params.get('size'), 10);
+    pagination.pageSize = PAGE_SIZES.includes(size) ? size : PAGE_SIZES[1];
+    pagination.page = parseInt(params.get('page'), 10) || 1;
+}
+
+// Member Links
+// Each certification has a stable #member/<id> link that opens the directory with
+// its details expanded, and #member/<id>/profile shows a standalone, printable
+// profile. The hash is only replaced, never pushed, while browsing the list so
+// Back still leaves the page as expected.
+const MEMBER_HASH_PATTERN = /^#member\/([^/]+)(\/profile)?$/;
+const directoryTitle = document.title;
+
+function getMemberHash(id, profile) {
+    return `#member/${encodeURIComponent(id)}${profile ? '/profile' : ''}`;
+}
+
+function setMemberHash(id) {
+    const isMemberHash = MEMBER_HASH_PATTERN.test(window.location.hash);
+    if (!id && !isMemberHash) return;
+
+    const hash = id ? getMemberHash(id) : '';
+    if (hash === window.location.hash) return;
+
+    history.replaceState(history.state, '', `${window.location.pathname}${window.location.search}${hash}`);
+}
+
+// Shareable URL for a member: just the brand, if one is forced, and the member hash
+function getMemberUrl(id) {
+    const query = forcedBrand ? `?brand=${encodeURIComponent(forcedBrand)}` : '';
+    return `${window.location.origin}${window.location.pathname}${query}${getMemberHash(id)}`;
+}
+
+function initializeMemberLinks() {
+    document.getElementById('results-container').addEventListener('click', function(e) {
+        const button = e.target.closest('[data-action="copy-link"]');
+        if (button) {
+            copyMemberLink(button.dataset.memberId);
+        }
+    });
+
+    document.getElementById('member-profile').addEventListener('click', function(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+
+        if (button.dataset.action === 'copy-link') {
+            copyMemberLink(button.dataset.memberId);
+        } else if (button.dataset.action === 'print') {
+            window.print();
+        }
+    });
+
+    window.addEventListener('hashchange', openMemberFromHash);
+}
+
+function copyMemberLink(id) {
+    const url = getMemberUrl(id);
+    const copied = navigator.clipboard && window.isSecureContext
+        ? navigator.clipboard.writeText(url)
+        : Promise.reject(new Error('Clipboard API unavailable'));
+
+    copied.catch(() => {
+        // Older browsers and plain http: fall back to a hidden text field
+        const field = document.createElement('textarea');
+        field.value = url;
+        field.setAttribute('readonly', '');
+        field.className = 'sr-only';
+        document.body.appendChild(field);
+        field.select();
+        const ok = document.execCommand('copy');
+        field.remove();
+        if (!ok) throw new Error('Copy command failed');
+    }).then(() => {
+        announceToScreenReader('Link to member copied to clipboard');
+    }).catch(() => {
+        window.prompt('Copy this link to the member:', url);
+    });
+}
+
+// Open the member named in the hash, if any. Filters that would hide the member
+// are cleared so the link always lands on the listing.
+function openMemberFromHash() {
+    const match = window.location.hash.match(MEMBER_HASH_PATTERN);
+    if (!match) {
+        showMemberProfile(null);
+        return;
+    }
+    if (!membersLoaded) return;
+
+    const id = decodeURIComponent(match[1]);
+    const member = allMembers.find(candidate => candidate.id === id);
+    if (!member) {
+        showMemberProfile(null);
+        announceToScreenReader('That member could not be found in the directory');
+        return;
+    }
+
+    if (match[2]) {
+        showMemberProfile(member);
+        return;
+    }
+    showMemberProfile(null);
+
+    if (!currentResults.includes(member)) {
+        document.getElementById('search-input').value = '';
+        document.querySelectorAll('.search-panel input[type="checkbox"]').forEach(checkbox => {
+            checkbox.checked = false;
+        });
+        updateResults({ keepPage: true });
+    }
+
+    pagination.page = Math.floor(currentResults.indexOf(member) / pagination.pageSize) + 1;
+    renderCurrentPage();
+    writeStateToUrl('replace');
+
+    const details = document.getElementById(`details-${member.id}`);
+    if (details && !details.classList.contains('active')) {
+        toggleDetails(details.id);
+    }
+    if (details) {
+        details.previousElementSibling.focus();
+    }
+}
+
+// Standalone profile view: hides the directory and shows one member with all
+// of their certifications. Pass null to return to the directory.
+function showMemberProfile(member) {
+    const profile = document.getElementById('member-profile');
+    const inProfileMode = Boolean(member);
+
+    document.body.classList.toggle('profile-mode', inProfileMode);
+    profile.hidden = !inProfileMode;
+
+    if (!inProfileMode) {
+        profile.innerHTML = '';
+        document.title = directoryTitle;
+        return;
+    }
+
+    const brand = getBrand(document.getElementById('brand-select').value) || brandRegistry.brands[0];
+    const certifications = allMembers
+        .filter(candidate => candidate.memberId === member.memberId)
+        .sort((a, b) => a.certifiedSince.localeCompare(b.certifiedSince));
+    const certificationColumns = EXPORT_COLUMNS.filter(([header]) =>
+        !['First Name', 'Last Name', 'Company', 'City', 'Province/Territory/State', 'Country'].includes(header));
+
+    profile.innerHTML = `
+        <div class="profile-header">
+            <img src="${escapeHtml(brand.logo)}" alt="${escapeHtml(brand.name)} Logo" class="profile-logo">
+            <div>
+                <h2 id="profile-name">${escapeHtml(member.firstName)} ${escapeHtml(member.lastName)}</h2>
+                <p class="profile-subtitle">${escapeHtml([member.company, member.city, member.province, member.country].filter(Boolean).join(', '))}</p>
+            </div>
+        </div>
+        ${certifications.map(certification => `
+            <table class="detail-table profile-table">
+                <caption>${escapeHtml(certification.designation)}</caption>
+                <tbody>
+                    ${certificationColumns.map(([header, getValue]) => renderDetailRow(`${escapeHtml(header)}:`, escapeHtml(getValue(certification)))).join('')}
+                </tbody>
+            </table>`).join('')}
+        <p class="profile-footer">${escapeHtml(brand.name)} Member Directory &mdash; ${escapeHtml(getMemberUrl(member.id))}</p>
+        <div class="detail-actions profile-actions">
+            <a class="detail-action-btn" href="${escapeHtml(getMemberHash(member.id))}">Back to directory</a>
+            <button type="button" class="detail-action-btn" data-action="copy-link" data-member-id="${escapeHtml(member.id)}">Copy link</button>
+            <button type="button" class="detail-action-btn" data-action="print">Print profile</button>
+        </div>`;
+
+    document.title = `${member.firstName} ${member.lastName} - Member Directory`;
+    profile.focus();
+    window.scrollTo(0, 0);
+}
+
+// Export
+// Exports use the full filtered and sorted result set, not just the visible page
+
+const EXPORT_COLUMNS = [
+    ['Certification ID', member => member.id],
+    ['First Name', member => member.firstName],
+    ['Last Name', member => member.lastName],
+    ['Company', member => member.company],
+    ['Designation', member => member.designation],
+    ['Practicing Status', member => member.status],
+    ['Certified Since', member => member.certifiedSince],
+    ['City', member => member.city],
+    ['Province/Territory/State', member => member.province],
+    ['Country', member => member.country],
+    ['Area(s) of Specialization', member => member.specializations.join(', ')]
+];
+
+function getExportFileName(extension) {
+    return `member-directory-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+function describeActiveFilters() {
+    const filters = getActiveFilters();
+    const parts = [];
+    if (filters.searchTerm) parts.push(`Search: "${filters.searchTerm}"`);
+    if (filters.designations.length) parts.push(`Designation: ${filters.designations.join(', ')}`);
+    if (filters.statuses.length) parts.push(`Status: ${filters.statuses.join(', ')}`);
+    if (filters.provinces.length) parts.push(`Province/Territory: ${filters.provinces.join(', ')}`);
+    if (filters.specializations.length) parts.push(`Specialization: ${filters.specializations.join(', ')}`);
+    return parts.length ? parts.join('; ') : 'All members';
+}
+
+function exportResultsToCsv() {
+    // A leading ' keeps Excel and Sheets from running a cell as a formula
+    const escapeCsv = value => {
+        let text = String(value);
+        if (/^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [
+        EXPORT_COLUMNS.map(([header]) => escapeCsv(header)).join(','),
+        ...currentResults.map(member =>
+            EXPORT_COLUMNS.map(([, getValue]) => escapeCsv(getValue(member))).join(','))
+    ];
+
+    // Byte order mark so Excel opens accented names correctly
+    const blob = new Blob(['\ufeff' + lines.join('\r\n')], { type: 'text/csv;charset=utf-8' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = getExportFileName('csv');
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+
+    announceToScreenReader(`Exported ${currentResults.length} results to CSV`);
+}
+
+// Opens a print-ready, branded copy of the results; the browser's print
+// dialog is used to save it as a PDF
+function exportResultsToPdf() {
+    const brand = getBrand(document.getElementById('brand-select').value) || brandRegistry.brands[0];
+    const styles = getComputedStyle(document.documentElement);
+    const primary = styles.getPropertyValue('--brand-primary').trim() || '#006F44';
+    const accent = styles.getPropertyValue('--brand-accent').trim() || primary;
+    const logoUrl = new URL(brand.logo, window.location.href).href;
+
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+        announceToScreenReader('Export blocked. Please allow pop-ups for this site and try again.');
+        alert('Export blocked. Please allow pop-ups for this site and try again.');
+        return;
+    }
+
+    const headerRow = EXPORT_COLUMNS.map(([header]) => `<th>${escapeHtml(header)}</th>`).join('');
+    const bodyRows = currentResults.map(member =>
+        `<tr>${EXPORT_COLUMNS.map(([, getValue]) => `<td>${escapeHtml(getValue(member))}</td>`).join('')}</tr>`
+    ).join('');
+
+    printWindow.document.write(`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(brand.name)} Member Directory - ${getExportFileName('pdf')}</title>
+    <style>
+        @page { size: landscape; margin: 12mm; }
+        body { font-family: 'Open Sans', Arial, sans-serif; color: #333; margin: 0; }
+        header { display: flex; align-items: center; gap: 20px; padding-bottom: 12px; border-bottom: 3px solid ${primary}; }
+        header img { height: 50px; }
+        h1 { font-size: 20px; color: ${primary}; margin: 0; }
+        .summary { font-size: 12px; color: #555; margin: 10px 0 14px; }
+        table { width: 100%; border-collapse: collapse; font-size: 10px; }
+        th { background: ${primary}; color: white; text-align: left; padding: 6px; }
+        td { padding: 5px 6px; border-bottom: 1px solid #e0e0e0; vertical-align: top; }
+        tr:nth-child(even) td { background: #f7f7f7; }
+        thead { display: table-header-group; }
+        tr { page-break-inside: avoid; }
+        footer { margin-top: 12px; font-size: 10px; color: ${accent}; }
+    </style>
+</head>
+<body>
+    <header>
+        <img src="${escapeHtml(logoUrl)}" alt="${escapeHtml(brand.name)} Logo">
+        <h1>Member Directory</h1>
+    </header>
+    <p class="summary">${escapeHtml(describeActiveFilters())} &mdash; sorted by ${escapeHtml(describeSortOrder())} &mdash; ${currentResults.length} results, exported ${new Date().toLocaleDateString()}</p>
+    <table>
+        <thead><tr>${headerRow}</tr></thead>
+        <tbody>${bodyRows}</tbody>
+    </table>
+    <footer>${escapeHtml(brand.name)}</footer>
+</body>
+</html>`);
+    printWindow.document.close();
+
+    // Wait for the logo before printing so it appears in the PDF
+    printWindow.addEventListener('load', () => {
+        printWindow.focus();
+        printWindow.print();
+    });
+
+    announceToScreenReader(`Prepared ${currentResults.length} results for PDF export`);
+}
+
 // Loading State Helper
 function showLoading() {
     const resultsContainer = document.getElementById('results-container');
@@ -297,10 +1441,52 @@ window.addEventListener('resize', function() {
     }, 250);
 });
 
-// Service Worker registration (for future PWA capabilities)
+// Offline Support
+// sw.js serves the directory from cache first and refreshes it in the background.
+// It posts messages about the member dataset so the page can say when it is stale.
+function setOfflineStatus(message) {
+    const status = document.getElementById('offline-status');
+    if (!status) return;
+
+    status.textContent = message || '';
+    status.hidden = !message;
+}
+
 if ('serviceWorker' in navigator) {
-    // Uncomment when service worker is implemented
-    // navigator.serviceWorker.register('/sw.js')
-    //     .then(reg => console.log('Service Worker registered'))
-    //     .catch(err => console.log('Service Worker registration failed'));
+    window.addEventListener('load', function() {
+        navigator.serviceWorker.register('sw.js')
+            .then(reg => console.log('Service Worker registered'))
+            .catch(err => console.log('Service Worker registration failed'));
+    });
+
+    navigator.serviceWorker.addEventListener('message', function(event) {
+        switch (event.data && event.data.type) {
+            case 'served-from-cache':
+                setOfflineStatus('Showing saved member data. Checking for updates...');
+                break;
+            case 'network-failed':
+                setOfflineStatus('You are offline. Showing saved member data, which may be out of date.');
+                announceToScreenReader('Offline. Showing saved member data.');
+                break;
+            case 'data-current':
+                setOfflineStatus('');
+                break;
+            case 'data-updated':
+                setOfflineStatus('');
+                loadMembers();
+                announceToScreenReader('Member data updated');
+                break;
+        }
+    });
 }
+
+window.addEventListener('offline', function() {
+    setOfflineStatus('You are offline. Showing saved member data, which may be out of date.');
+});
+
+window.addEventListener('online', function() {
+    setOfflineStatus('');
+    if (membersLoaded) {
+        loadMembers();
+    }
+});
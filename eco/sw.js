@@ -0,0 +1,108 @@
+// Member Directory Service Worker
+// Precaches the directory shell and member dataset so the page works offline.
+// Requests are served stale-while-revalidate: the cached copy is returned
+// immediately and refreshed from the network in the background.
+
+const CACHE_NAME = 'member-directory-v3';
+const DATA_URL = 'members.json';
+
+const PRECACHE_URLS = [
+    'memdir.html',
+    'script.js',
+    'styles-eco.css',
+    'styles-oac.css',
+    'ECO_Logo.svg',
+    'OAC_logo.png',
+    'brands.json',
+    DATA_URL
+];
+
+self.addEventListener('install', function(event) {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', function(event) {
+    // Drop caches left behind by older versions of this worker
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', function(event) {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    // Only same-origin GETs are cached; fonts and other third-party requests pass through
+    if (request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+
+    event.respondWith(staleWhileRevalidate(event));
+});
+
+function staleWhileRevalidate(event) {
+    const request = event.request;
+    const url = new URL(request.url);
+    const isData = url.pathname.endsWith('/' + DATA_URL);
+
+    // Filters and paging live in the query string, so match on the path alone
+    const cacheKey = url.origin + url.pathname;
+
+    return caches.open(CACHE_NAME).then(cache =>
+        cache.match(cacheKey).then(cached => {
+            const network = fetch(request)
+                .then(response => {
+                    if (!response.ok) {
+                        return response;
+                    }
+                    return storeResponse(cache, cacheKey, cached, response.clone(), isData)
+                        .then(() => response);
+                })
+                .catch(err => {
+                    if (isData) {
+                        notifyClients({ type: 'network-failed', url: DATA_URL });
+                    }
+                    if (cached) {
+                        return cached;
+                    }
+                    throw err;
+                });
+
+            event.waitUntil(network.catch(() => {}));
+
+            if (cached) {
+                if (isData) {
+                    notifyClients({ type: 'served-from-cache', url: DATA_URL });
+                }
+                return cached;
+            }
+            return network;
+        })
+    );
+}
+
+// Save the fresh response and, for the member dataset, tell open pages when it changed
+function storeResponse(cache, cacheKey, cached, response, isData) {
+    if (!isData || !cached) {
+        return cache.put(cacheKey, response);
+    }
+
+    return Promise.all([cached.clone().text(), response.clone().text()])
+        .then(([oldText, newText]) => cache.put(cacheKey, response).then(() => {
+            notifyClients({ type: oldText === newText ? 'data-current' : 'data-updated', url: DATA_URL });
+        }));
+}
+
+function notifyClients(message) {
+    return self.clients.matchAll({ type: 'window' }).then(clients => {
+        clients.forEach(client => client.postMessage(message));
+    });
+}
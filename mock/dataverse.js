@@ -0,0 +1,132 @@
+// Dataverse Web API mock for the crmlinks.html health panel
+// Answers WhoAmI, RetrieveVersion and solutions for a few made-up
+// environments, so the panel can be tried without a tenant or network.
+//
+//   node mock/dataverse.js [port]
+//
+// then open crmlinks.html?mock=http://localhost:8090 and add environments
+// named dev, uat and prod. Each environment is served under its own path
+// (http://localhost:8090/dev/api/data/v9.2/...). Any bearer token is
+// accepted except "expired", which gets the 401 Dataverse sends for an
+// expired token; unknown environments get a 404.
+
+const http = require('http');
+
+const DEFAULT_PORT = 8090;
+
+const environments = {
+    dev: {
+        organizationId: '7b1a6c0e-2f5d-4c1e-9a3b-0d6e8f4a1c21',
+        version: '9.2.24051.00180',
+        solutions: {
+            Default: '1.0',
+            Core: '2.4.0.12',
+            CaseManagement: '1.9.0.3',
+            Billing: '3.1.0.0',
+            Portal: '0.9.0.1'
+        }
+    },
+    uat: {
+        organizationId: '2d4f8a6b-1c3e-4b5d-8f7a-9e0c1b2d3e42',
+        version: '9.2.24051.00180',
+        solutions: {
+            Default: '1.0',
+            Core: '2.4.0.12',
+            CaseManagement: '1.8.2.0',
+            Billing: '3.1.0.0'
+        }
+    },
+    prod: {
+        organizationId: '9c8b7a6d-5e4f-4a3b-b2c1-d0e9f8a7b663',
+        version: '9.2.24044.00196',
+        solutions: {
+            Default: '1.0',
+            Core: '2.3.1.7',
+            CaseManagement: '1.8.2.0',
+            Billing: '3.0.4.2'
+        }
+    }
+};
+
+const USER_ID = '5f0c3e2a-8b7d-4e6f-a1c9-3d2b4a5e6f70';
+
+function send(response, status, body) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json; odata.metadata=minimal',
+        'OData-Version': '4.0',
+        'Access-Control-Allow-Origin': '*'
+    });
+    response.end(JSON.stringify(body));
+}
+
+function sendError(response, status, code, message) {
+    send(response, status, { error: { code, message } });
+}
+
+function handleRequest(request, response) {
+    // Browsers preflight the Authorization and OData headers
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204, {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, OPTIONS',
+            'Access-Control-Allow-Headers': 'Authorization, Accept, OData-MaxVersion, OData-Version',
+            'Access-Control-Max-Age': '600'
+        });
+        response.end();
+        return;
+    }
+
+    const url = new URL(request.url, 'http://localhost');
+    const match = url.pathname.match(/^\/([^/]+)\/api\/data\/v[\d.]+\/(\w+)$/);
+    if (!match || request.method !== 'GET') {
+        sendError(response, 404, '0x80060888', `Resource not found for the segment '${url.pathname}'.`);
+        return;
+    }
+
+    const [, envName, resource] = match;
+    const env = environments[decodeURIComponent(envName).toLowerCase()];
+    if (!env) {
+        sendError(response, 404, '0x80072560', `No mock environment named '${envName}'. Try ${Object.keys(environments).join(', ')}.`);
+        return;
+    }
+
+    const token = (request.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    if (!token) {
+        sendError(response, 401, '0x80072560', 'The request does not have an Authorization header.');
+        return;
+    }
+    if (token === 'expired') {
+        sendError(response, 401, '0x80072560', 'The access token has expired.');
+        return;
+    }
+
+    switch (resource) {
+        case 'WhoAmI':
+            send(response, 200, {
+                BusinessUnitId: '0a1b2c3d-4e5f-4a6b-8c7d-9e0f1a2b3c4d',
+                UserId: USER_ID,
+                OrganizationId: env.organizationId
+            });
+            break;
+        case 'RetrieveVersion':
+            send(response, 200, { Version: env.version });
+            break;
+        case 'solutions':
+            send(response, 200, {
+                value: Object.keys(env.solutions).sort().map(uniqueName => ({
+                    uniquename: uniqueName,
+                    friendlyname: uniqueName === 'Default' ? 'Default Solution' : uniqueName.replace(/([a-z])([A-Z])/g, '$1 $2'),
+                    version: env.solutions[uniqueName],
+                    ismanaged: uniqueName !== 'Default'
+                }))
+            });
+            break;
+        default:
+            sendError(response, 404, '0x80060888', `Resource not found for the segment '${resource}'.`);
+    }
+}
+
+const port = Number(process.argv[2]) || DEFAULT_PORT;
+http.createServer(handleRequest).listen(port, () => {
+    console.log(`Dataverse mock listening on http://localhost:${port} (environments: ${Object.keys(environments).join(', ')})`);
+});
@@ -17,20 +17,217 @@
  * 10. Click Deploy
  * 11. Copy the Web app URL
  * 12. Paste it into your HTML page's "Google Apps Script URL" field
+ * 13. Select generateSharedSecret in the editor's function list and click Run
+ * 14. Copy the secret from the execution log into the page's "Shared Secret" field
+ *
+ * "Anyone" can reach the URL, but only requests signed with the shared secret
+ * are accepted - see the request protocol below.
  *
  * NOTE: This version enables CORS to allow reading responses from the web app
+ *
+ * UPGRADING: Sheets created before the Category, Image, home currency or
+ * Receipt ID columns existed get their headers on the next save. Run migrateCategories() once to fill in
+ * categories for old rows, and syncItemsSheet() to give them receipt IDs and item rows. Saving images needs Drive access, so authorise the
+ * script again when you redeploy (Deploy > Manage deployments > Edit > New version).
+ * From protocol version 2 every request must be signed: run generateSharedSecret()
+ * after redeploying and enter the secret in the web app.
  */
 
 /**
- * Handle POST requests from the web app
+ * Drive folder for receipt images - the ID is the last part of the folder's URL
+ * (https://drive.google.com/drive/folders/<ID>). Leave blank to use a
+ * "Receipt Images" folder in My Drive, created on first use.
+ */
+const RECEIPT_IMAGE_FOLDER_ID = '';
+const RECEIPT_IMAGE_FOLDER_NAME = 'Receipt Images';
+
+/**
+ * Default category rules, the same list the web app starts with
+ * (DEFAULT_CATEGORY_RULES in receipt_scanner.html). The web app sends its own -
+ * possibly edited - rules whenever they change, and they are kept on the
+ * Category Rules sheet (one rule per row, one pattern per line) and used instead.
+ */
+const DEFAULT_CATEGORY_RULES = [
+  { category: 'Groceries', merchants: ['costco', 'walmart', 'loblaws', 'metro', 'sobeys', 'safeway', 'kroger', 'whole foods', 'trader joe', '/\\biga\\b/', 'no frills', 'provigo'], items: ['milk', 'bread', 'eggs', 'produce', 'banana', 'cheese'] },
+  { category: 'Fuel', merchants: ['shell', 'esso', 'petro-canada', 'petro canada', 'chevron', 'exxon', 'ultramar', 'pioneer', 'husky', '/\\bbp\\b/'], items: ['fuel', 'gas', 'unleaded', 'diesel', 'litre', 'gallon'] },
+  { category: 'Meals', merchants: ['restaurant', 'cafe', 'coffee', 'tim hortons', 'starbucks', 'mcdonald', 'subway', 'pizza', 'bistro', 'grill', '/\\bpub\\b/'], items: ['coffee', 'latte', 'burger', 'sandwich', 'fries', 'meal', '/\\btip\\b/', 'gratuity'] },
+  { category: 'Office Supplies', merchants: ['staples', 'office depot', 'bureau en gros', 'best buy'], items: ['paper', 'toner', '/\\bink\\b/', 'pens', 'notebook', 'stapler'] },
+  { category: 'Travel', merchants: ['air canada', 'westjet', 'via rail', 'uber', 'lyft', 'taxi', 'hotel', 'marriott', 'hilton', 'airbnb', 'parking'], items: ['fare', '/\\broom\\b/', 'parking', 'toll'] },
+  { category: 'Pharmacy', merchants: ['shoppers drug mart', 'pharmaprix', 'jean coutu', 'rexall', 'cvs', 'walgreens', 'pharmacy'], items: ['prescription', 'rx', 'vitamin'] }
+];
+const CATEGORY_COLUMN = 12;
+const CATEGORY_RULES_SHEET_NAME = 'Category Rules';
+const CATEGORY_RULES_COLUMNS = ['Category', 'Merchants', 'Items'];
+// Where earlier versions kept the rules; read until the sheet exists
+const LEGACY_CATEGORY_RULES_PROPERTY = 'categoryRules';
+const IMAGE_COLUMN = 13;
+
+/**
+ * Home currency columns: the web app sends its home currency and the exchange
+ * rate it picked for the receipt date; the converted amounts are worked out here.
+ * Left blank when no rate was available.
+ */
+const HOME_CURRENCY_COLUMNS = ['Home Currency', 'Exchange Rate', 'Total (Home)', 'Tax (Home)'];
+const HOME_CURRENCY_COLUMN = 14;
+const RECEIPT_ID_COLUMN = 18;
+const COLUMN_COUNT = 18;
+
+/**
+ * Line items get a row each on the Items sheet, linked to their receipt's row
+ * by the Receipt ID column, so they can be pivoted and summed by product.
+ * Unit Price is the line total divided by the quantity. The Items column on
+ * the receipts sheet stays as a readable summary.
+ */
+const ITEMS_SHEET_NAME = 'Items';
+const ITEMS_COLUMNS = ['Receipt ID', 'Date', 'Merchant', 'Description', 'Quantity', 'Unit Price', 'Line Total', 'Currency', 'Category'];
+const ITEMS_CATEGORY_COLUMN = 9;
+
+/**
+ * Request protocol
+ * The web app signs every request with a secret shared with this script, kept
+ * in Script Properties as RECEIPT_SHARED_SECRET (generateSharedSecret() makes
+ * one). A request is a JSON envelope:
+ *   { version, timestamp, nonce, payload: '<JSON string>', signature }
+ * where signature is the hex HMAC-SHA256 of "version.timestamp.nonce.payload".
+ * POSTs carry it as the body and report GETs as the `request` parameter.
+ * Requests more than SIGNATURE_MAX_AGE_MS away from the script's clock, or
+ * reusing a nonce, are refused so a captured request can't be replayed.
+ * The web app signs with signRequest() in receipt_shared.js; testSharedLogic()
+ * checks both sides still agree.
+ */
+const PROTOCOL_VERSION = 2;
+const SHARED_SECRET_PROPERTY = 'RECEIPT_SHARED_SECRET';
+const SIGNATURE_MAX_AGE_MS = 10 * 60 * 1000;
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Error codes returned as `code` alongside a readable `error` message. The web
+ * app explains each one to the user (SERVER_ERROR_MESSAGES in receipt_scanner.html).
+ */
+const ERROR_CODES = {
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+  AUTH_NOT_CONFIGURED: 'AUTH_NOT_CONFIGURED',
+  AUTH_REQUIRED: 'AUTH_REQUIRED',
+  AUTH_FAILED: 'AUTH_FAILED',
+  REQUEST_EXPIRED: 'REQUEST_EXPIRED',
+  REQUEST_REPLAYED: 'REQUEST_REPLAYED',
+  INVALID_FIELD: 'INVALID_FIELD',
+  UNKNOWN_FIELD: 'UNKNOWN_FIELD',
+  SHEET_BUSY: 'SHEET_BUSY',
+  SERVER_ERROR: 'SERVER_ERROR'
+};
+
+/**
+ * How long a request waits for another one to finish writing before giving up
+ * with SHEET_BUSY, which the web app retries later
+ */
+const SHEET_LOCK_WAIT_MS = 30000;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+const AMOUNT_PATTERN = /^-?\d{1,9}(\.\d{1,2})?$/;
+
+/**
+ * Receipt payload schema. Each field has a type (string, amount, number,
+ * boolean, array or object) and optional limits; fields not listed are refused.
+ */
+const PATTERN_LIST_SCHEMA = {
+  type: 'array',
+  maxItems: 200,
+  items: { type: 'string', maxLength: 200, pattern: /^[^\r\n]*$/, hint: 'a single line' }
+};
+const CATEGORY_RULES_LIST_SCHEMA = {
+  type: 'array',
+  maxItems: 100,
+  items: {
+    type: 'object',
+    fields: {
+      category: { type: 'string', required: true, maxLength: 100 },
+      merchants: PATTERN_LIST_SCHEMA,
+      items: PATTERN_LIST_SCHEMA
+    }
+  }
+};
+const RECEIPT_SCHEMA = {
+  merchantName: { type: 'string', required: true, maxLength: 200 },
+  category: { type: 'string', maxLength: 100 },
+  date: { type: 'string', required: true, pattern: DATE_PATTERN, hint: 'a YYYY-MM-DD date' },
+  time: { type: 'string', pattern: /^(\d{2}:\d{2}(:\d{2})?)?$/, hint: 'an HH:MM time' },
+  total: { type: 'amount', required: true },
+  tax: { type: 'amount' },
+  currency: { type: 'string', required: true, pattern: CURRENCY_PATTERN, hint: 'a 3-letter currency code' },
+  items: {
+    type: 'array',
+    maxItems: 500,
+    items: {
+      type: 'object',
+      fields: {
+        description: { type: 'string', required: true, maxLength: 500 },
+        quantity: { type: 'string', required: true, pattern: /^\d{1,6}(\.\d{1,3})?$/, hint: 'a number' },
+        price: { type: 'amount', required: true }
+      }
+    }
+  },
+  // Sent with every receipt by earlier versions of the web app, which may still
+  // have receipts waiting in their outbox
+  categoryRules: CATEGORY_RULES_LIST_SCHEMA,
+  homeCurrency: { type: 'string', pattern: CURRENCY_PATTERN, hint: 'a 3-letter currency code' },
+  exchangeRate: { type: 'number', min: 0.000001, max: 1000000 },
+  exchangeRateDate: { type: 'string', pattern: DATE_PATTERN, hint: 'a YYYY-MM-DD date' },
+  force: { type: 'boolean' },
+  // Chosen by the web app, so a resent receipt can be recognised
+  receiptId: { type: 'string', pattern: /^[A-Za-z0-9-]{8,64}$/, hint: 'letters, digits and dashes' },
+  image: {
+    type: 'object',
+    fields: {
+      mimeType: { type: 'string', required: true, pattern: /^image\/[a-z0-9.+-]+$/, hint: 'an image type' },
+      data: { type: 'string', required: true, maxLength: Math.ceil(MAX_IMAGE_BYTES / 3) * 4, pattern: /^[A-Za-z0-9+/]*={0,2}$/, hint: 'base64 data' }
+    }
+  }
+};
+
+/**
+ * The web app's category rules, sent on their own whenever they change
+ */
+const CATEGORY_RULES_SCHEMA = {
+  action: { type: 'string', required: true, pattern: /^saveCategoryRules$/, hint: '"saveCategoryRules"' },
+  rules: Object.assign({ required: true }, CATEGORY_RULES_LIST_SCHEMA)
+};
+
+const REPORT_FILTER_SCHEMA = {
+  action: { type: 'string', pattern: /^report$/, hint: '"report"' },
+  from: { type: 'string', pattern: DATE_PATTERN, hint: 'a YYYY-MM-DD date' },
+  to: { type: 'string', pattern: DATE_PATTERN, hint: 'a YYYY-MM-DD date' },
+  merchant: { type: 'string', maxLength: 200 },
+  category: { type: 'string', maxLength: 100 },
+  currency: { type: 'string', pattern: CURRENCY_PATTERN, hint: 'a 3-letter currency code' }
+};
+
+/**
+ * Handle POST requests from the web app: a receipt, or its category rules
+ * ({ action: 'saveCategoryRules', rules })
  */
 function doPost(e) {
+  let lock = null;
   try {
-    // Parse the incoming JSON data
-    const data = JSON.parse(e.postData.contents);
+    // Check the signature, then the receipt itself, before touching the sheet
+    const data = verifyRequest(parseEnvelope(e && e.postData && e.postData.contents));
+    if (data && data.action === 'saveCategoryRules') {
+      validateFields(data, CATEGORY_RULES_SCHEMA, '');
+      lock = acquireSheetLock();
+      saveCategoryRules(data.rules);
+      return createCorsResponse({ success: true, ruleCount: data.rules.length });
+    }
+    validateFields(data, RECEIPT_SCHEMA, '');
+
+    // Log incoming data for debugging (without the image, which can be megabytes)
+    console.log('Incoming receipt data: ' + JSON.stringify(Object.assign({}, data, { image: data.image ? '(image)' : undefined })));
 
-    // Log incoming data for debugging
-    console.log('Incoming receipt data: ' + JSON.stringify(data));
+    // The page and its service worker can both be sending receipts. Holding
+    // the lock from the duplicate check until the rows are written stops two
+    // requests from matching or overwriting each other's rows.
+    lock = acquireSheetLock();
 
     // Get the active spreadsheet
     const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
@@ -48,14 +245,38 @@ function doPost(e) {
         'Items (Description x Qty @ Price)',
         'Timestamp',
         'Raw Date',
-        'Raw Total'
-      ]);
+        'Raw Total',
+        'Category',
+        'Image'
+      ].concat(HOME_CURRENCY_COLUMNS, ['Receipt ID']));
 
       // Format header row
-      const headerRange = sheet.getRange(1, 1, 1, 11);
+      const headerRange = sheet.getRange(1, 1, 1, COLUMN_COUNT);
       headerRange.setFontWeight('bold');
       headerRange.setBackground('#667eea');
       headerRange.setFontColor('#ffffff');
+    } else {
+      ensureColumnHeader(sheet, CATEGORY_COLUMN, 'Category');
+      ensureColumnHeader(sheet, IMAGE_COLUMN, 'Image');
+      HOME_CURRENCY_COLUMNS.forEach((title, index) => {
+        ensureColumnHeader(sheet, HOME_CURRENCY_COLUMN + index, title);
+      });
+      ensureColumnHeader(sheet, RECEIPT_ID_COLUMN, 'Receipt ID');
+    }
+
+    // A resend of a receipt the sheet already has - its reply was lost or came
+    // too late - gets the same answer again instead of a second row or a
+    // duplicate warning about itself
+    const savedRow = data.receiptId ? findReceiptRow(sheet, data.receiptId) : null;
+    if (savedRow) {
+      console.log(`Receipt ${data.receiptId} is already in row ${savedRow}`);
+      return createCorsResponse({
+        success: true,
+        message: 'Receipt already saved',
+        row: savedRow,
+        receiptId: data.receiptId,
+        alreadySaved: true
+      });
     }
 
     // Check for duplicates (unless force flag is set)
@@ -70,7 +291,9 @@ function doPost(e) {
         return createCorsResponse({
           isDuplicate: true,
           row: duplicate.row,
+          receiptId: duplicate.receiptId,
           existingReceipt: duplicate.data,
+          reasons: duplicate.reasons,
           message: `Duplicate found: ${duplicate.data.merchant} on ${duplicate.data.date} for ${duplicate.data.currency} ${duplicate.data.total}`
         });
       }
@@ -90,7 +313,22 @@ function doPost(e) {
       itemsText = 'No items';
     }
 
+    // Store the receipt image in Drive. A failure here shouldn't lose the
+    // receipt itself, so the row is still written and the error reported back.
+    let imageLink = '';
+    let imageError = null;
+    if (data.image && data.image.data) {
+      try {
+        const imageUrl = saveReceiptImage(data);
+        imageLink = `=HYPERLINK("${imageUrl}", "View receipt")`;
+      } catch (error) {
+        console.log('Saving image failed: ' + error);
+        imageError = error.toString();
+      }
+    }
+
     // Prepare row data - use setValues instead of appendRow to force text format
+    const receiptId = data.receiptId || Utilities.getUuid();
     const rowData = [
       data.date || '',
       data.time || '',
@@ -102,38 +340,275 @@ function doPost(e) {
       itemsText,
       new Date().toISOString(),
       data.date || '',  // Raw date string for duplicate detection
-      data.total || ''  // Raw total string for duplicate detection
-    ];
+      data.total || '',  // Raw total string for duplicate detection
+      data.category || '',
+      imageLink
+    ].concat(convertToHomeCurrency(data), [receiptId]);
 
     // Append the new row
     const newRow = sheet.getLastRow() + 1;
-    sheet.getRange(newRow, 1, 1, 11).setValues([rowData]);
+    sheet.getRange(newRow, 1, 1, COLUMN_COUNT).setValues([rowData]);
 
     // Force columns J and K to be text by setting number format
     sheet.getRange(newRow, 10, 1, 2).setNumberFormat('@STRING@');
 
     // Auto-resize columns for better readability
-    sheet.autoResizeColumns(1, 11);
+    sheet.autoResizeColumns(1, COLUMN_COUNT);
+
+    // One row per line item on the Items sheet
+    appendItemRows(getItemsSheet(), (data.items || []).map(item => ({
+      receiptId: receiptId,
+      date: data.date || '',
+      merchant: data.merchantName || 'Unknown',
+      description: item.description,
+      quantity: parseFloat(item.quantity) || 1,
+      cents: toCents(item.price) || 0,
+      currency: data.currency || 'USD',
+      category: data.category || ''
+    })));
+
+    // Rules from an older web app. The receipt is already saved, so a problem
+    // storing them is only logged.
+    if (data.categoryRules) {
+      try {
+        saveCategoryRules(data.categoryRules);
+      } catch (error) {
+        console.log('Saving category rules failed: ' + error);
+      }
+    }
 
     // Return success response with CORS headers
     return createCorsResponse({
       success: true,
       message: 'Receipt saved successfully',
-      row: sheet.getLastRow()
+      row: newRow,
+      receiptId: receiptId,
+      imageError: imageError
     });
 
   } catch (error) {
-    // Return error response with CORS headers
-    return createCorsResponse({
-      success: false,
-      error: error.toString()
-    });
+    return createErrorResponse(error);
+  } finally {
+    if (lock) {
+      lock.releaseLock();
+    }
+  }
+}
+
+/**
+ * Wait for any other request that is writing to the sheets; throws SHEET_BUSY
+ * after SHEET_LOCK_WAIT_MS
+ */
+function acquireSheetLock() {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(SHEET_LOCK_WAIT_MS)) {
+    throw requestError(ERROR_CODES.SHEET_BUSY,
+      `The sheet was busy saving other receipts for ${SHEET_LOCK_WAIT_MS / 1000} seconds.`);
+  }
+  return lock;
+}
+
+/**
+ * Create an error with one of the ERROR_CODES, and the field it is about if any
+ */
+function requestError(code, message, field) {
+  const error = new Error(message);
+  error.code = code;
+  error.field = field;
+  return error;
+}
+
+/**
+ * Error response with CORS headers. Errors without a code are unexpected
+ * failures inside the script and are reported as SERVER_ERROR.
+ */
+function createErrorResponse(error) {
+  if (!error.code) {
+    console.log('Unexpected error: ' + error + (error.stack ? '\n' + error.stack : ''));
+  }
+  return createCorsResponse({
+    success: false,
+    protocolVersion: PROTOCOL_VERSION,
+    code: error.code || ERROR_CODES.SERVER_ERROR,
+    error: error.code ? error.message : error.toString(),
+    field: error.field
+  });
+}
+
+function parseEnvelope(text) {
+  if (!text) {
+    throw requestError(ERROR_CODES.INVALID_REQUEST, 'The request is empty.');
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw requestError(ERROR_CODES.INVALID_REQUEST, 'The request is not valid JSON.');
+  }
+}
+
+/**
+ * Check a request envelope's version, signature, age and nonce, and return
+ * its parsed payload
+ */
+function verifyRequest(envelope) {
+  if (!envelope || typeof envelope !== 'object' || envelope.version === undefined) {
+    throw requestError(ERROR_CODES.UNSUPPORTED_VERSION,
+      `The request has no protocol version. This script needs version ${PROTOCOL_VERSION} - update the web app.`);
+  }
+  if (envelope.version !== PROTOCOL_VERSION) {
+    throw requestError(ERROR_CODES.UNSUPPORTED_VERSION,
+      `The request uses protocol version ${envelope.version}, but this script speaks version ${PROTOCOL_VERSION}.`);
+  }
+
+  const secret = PropertiesService.getScriptProperties().getProperty(SHARED_SECRET_PROPERTY);
+  if (!secret) {
+    throw requestError(ERROR_CODES.AUTH_NOT_CONFIGURED,
+      'No shared secret is set up for this script. Run generateSharedSecret() in the Apps Script editor.');
+  }
+
+  const { timestamp, nonce, payload, signature } = envelope;
+  if (typeof signature !== 'string' || typeof payload !== 'string' ||
+      typeof timestamp !== 'number' || typeof nonce !== 'string' || !/^[A-Za-z0-9-]{8,64}$/.test(nonce)) {
+    throw requestError(ERROR_CODES.AUTH_REQUIRED, 'The request is not signed.');
+  }
+
+  const expected = computeSignature(`${envelope.version}.${timestamp}.${nonce}.${payload}`, secret);
+  if (!timingSafeEqual(expected, signature.toLowerCase())) {
+    throw requestError(ERROR_CODES.AUTH_FAILED, 'The request signature does not match this script\'s shared secret.');
+  }
+
+  if (Math.abs(Date.now() - timestamp) > SIGNATURE_MAX_AGE_MS) {
+    throw requestError(ERROR_CODES.REQUEST_EXPIRED,
+      `The request was signed at ${new Date(timestamp).toISOString()}, more than ${SIGNATURE_MAX_AGE_MS / 60000} minutes from the script's time.`);
+  }
+
+  // Remember nonces for twice the allowed age, so any request still accepted can only be used once
+  const cache = CacheService.getScriptCache();
+  const nonceKey = 'nonce:' + nonce;
+  if (cache.get(nonceKey)) {
+    throw requestError(ERROR_CODES.REQUEST_REPLAYED, 'This request has already been received.');
+  }
+  cache.put(nonceKey, '1', (SIGNATURE_MAX_AGE_MS * 2) / 1000);
+
+  try {
+    return JSON.parse(payload);
+  } catch (error) {
+    throw requestError(ERROR_CODES.INVALID_REQUEST, 'The request payload is not valid JSON.');
+  }
+}
+
+function computeSignature(message, secret) {
+  return Utilities.computeHmacSha256Signature(message, secret, Utilities.Charset.UTF_8)
+    .map(byte => ((byte + 256) % 256).toString(16).padStart(2, '0'))
+    .join('');
+}
+
+// Compare every character so the time taken doesn't reveal how much matched
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
   }
+  return difference === 0;
 }
 
+/**
+ * Check an object against a schema (see RECEIPT_SCHEMA); throws INVALID_FIELD
+ * or UNKNOWN_FIELD naming the first offending field, e.g. items[2].price
+ */
+function validateFields(object, schema, path) {
+  if (!object || typeof object !== 'object' || Array.isArray(object)) {
+    throw requestError(ERROR_CODES.INVALID_FIELD, `${path || 'The request payload'} must be an object.`, path || undefined);
+  }
+
+  Object.keys(object).forEach(name => {
+    if (!schema[name]) {
+      const field = path ? `${path}.${name}` : name;
+      throw requestError(ERROR_CODES.UNKNOWN_FIELD, `${field} is not a field this script accepts.`, field);
+    }
+  });
+
+  Object.keys(schema).forEach(name => {
+    const field = path ? `${path}.${name}` : name;
+    const value = object[name];
+    if (value === undefined || value === null || value === '') {
+      if (schema[name].required) {
+        throw requestError(ERROR_CODES.INVALID_FIELD, `${field} is required.`, field);
+      }
+      return;
+    }
+    validateValue(value, schema[name], field);
+  });
+}
+
+function validateValue(value, rule, field) {
+  const fail = (message) => {
+    throw requestError(ERROR_CODES.INVALID_FIELD, `${field} ${message}.`, field);
+  };
+
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') fail('must be text');
+      if (rule.maxLength && value.length > rule.maxLength) fail(`must be at most ${rule.maxLength} characters`);
+      if (rule.pattern && !rule.pattern.test(value)) fail(`must be ${rule.hint || 'in the expected format'}`);
+      break;
+    case 'amount':
+      if (!AMOUNT_PATTERN.test(String(value)) || (typeof value !== 'string' && typeof value !== 'number')) {
+        fail('must be an amount with at most 2 decimals');
+      }
+      break;
+    case 'number':
+      if (typeof value !== 'number' || !isFinite(value)) fail('must be a number');
+      if (rule.min !== undefined && value < rule.min) fail(`must be at least ${rule.min}`);
+      if (rule.max !== undefined && value > rule.max) fail(`must be at most ${rule.max}`);
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') fail('must be true or false');
+      break;
+    case 'array':
+      if (!Array.isArray(value)) fail('must be a list');
+      if (rule.maxItems && value.length > rule.maxItems) fail(`must have at most ${rule.maxItems} entries`);
+      value.forEach((item, index) => validateValue(item, rule.items, `${field}[${index}]`));
+      break;
+    case 'object':
+      validateFields(value, rule.fields, field);
+      break;
+    default:
+      throw new Error(`Unknown schema type ${rule.type} for ${field}`);
+  }
+}
+
+/**
+ * Create the shared secret for signing requests. Run this once from the
+ * editor and copy the logged secret into the web app's settings. Running it
+ * again replaces the secret, and every device has to be given the new one.
+ */
+function generateSharedSecret() {
+  const secret = (Utilities.getUuid() + Utilities.getUuid()).replace(/-/g, '');
+  PropertiesService.getScriptProperties().setProperty(SHARED_SECRET_PROPERTY, secret);
+  console.log('Shared secret (paste into the web app\'s Settings > Shared Secret): ' + secret);
+  return secret;
+}
+
+/**
+ * Duplicate matching tolerances
+ * Receipts are read by OCR, so the same receipt rarely comes back with exactly
+ * the same text twice. A row counts as a duplicate when all three line up:
+ * - merchant names are at least DUPLICATE_MERCHANT_SIMILARITY alike
+ * - dates are at most DUPLICATE_DATE_WINDOW_DAYS apart
+ * - totals are within DUPLICATE_AMOUNT_TOLERANCE_CENTS, or one is the other rounded
+ *   to a whole amount, in the same currency (rows without one match any)
+ * The web app applies the same rules to its own index of saved receipts, with
+ * compareReceipts() in receipt_shared.js; testSharedLogic() checks both agree.
+ */
+const DUPLICATE_MERCHANT_SIMILARITY = 0.6;
+const DUPLICATE_DATE_WINDOW_DAYS = 1;
+const DUPLICATE_AMOUNT_TOLERANCE_CENTS = 2;
+
 /**
  * Find duplicate receipts in the sheet
- * Returns the duplicate row info or null if no duplicate found
+ * Returns the closest matching row info, with the reasons it matched, or null
  */
 function findDuplicate(sheet, newReceipt) {
   const lastRow = sheet.getLastRow();
@@ -145,9 +620,11 @@ function findDuplicate(sheet, newReceipt) {
 
   // Get all existing data (skip header row)
   // Columns: Date, Time, Merchant, Total, Currency, Tax, ItemCount, Items, Timestamp, RawDate, RawTotal
-  const data = sheet.getRange(2, 1, lastRow - 1, 11).getValues();
+  // ... and Receipt ID, on sheets that have it
+  const data = sheet.getRange(2, 1, lastRow - 1, Math.max(11, Math.min(RECEIPT_ID_COLUMN, sheet.getLastColumn()))).getValues();
+
+  let best = null;
 
-  // Check each row for duplicates
   for (let i = 0; i < data.length; i++) {
     const row = data[i];
 
@@ -155,31 +632,270 @@ function findDuplicate(sheet, newReceipt) {
       merchant: row[2],
       rawDate: row[9] || row[0],  // Use raw date if available, fallback to parsed date
       rawTotal: row[10] || row[3],  // Use raw total if available, fallback to parsed total
+      currency: row[4]
     };
 
-    // Simple string comparison - match if: same merchant + same raw date + same raw total
-    const merchantMatch = (rowData.merchant || '').toLowerCase().trim() === (newReceipt.merchantName || '').toLowerCase().trim();
-    const dateMatch = (rowData.rawDate || '').toString().trim() === (newReceipt.date || '').toString().trim();
-    const totalMatch = (rowData.rawTotal || '').toString().trim() === (newReceipt.total || '').toString().trim();
-
-    console.log(`Row ${i+2}: merchant=${merchantMatch} ('${rowData.merchant}' vs '${newReceipt.merchantName}'), date=${dateMatch} ('${rowData.rawDate}' vs '${newReceipt.date}'), total=${totalMatch} ('${rowData.rawTotal}' vs '${newReceipt.total}')`);
+    const match = compareReceipts(
+      { merchant: rowData.merchant, date: rowData.rawDate, total: rowData.rawTotal, currency: rowData.currency },
+      { merchant: newReceipt.merchantName, date: newReceipt.date, total: newReceipt.total, currency: newReceipt.currency }
+    );
 
-    if (merchantMatch && dateMatch && totalMatch) {
-      console.log('Match found!');
-      return {
+    if (match && (!best || match.score > best.score)) {
+      console.log(`Row ${i + 2} matches: ${match.reasons.join('; ')}`);
+      best = {
         row: i + 2, // +2 because: +1 for header, +1 for 1-based indexing
+        receiptId: row[RECEIPT_ID_COLUMN - 1] || null,
+        score: match.score,
+        reasons: match.reasons,
         data: {
           merchant: rowData.merchant,
-          date: rowData.rawDate,
-          total: rowData.rawTotal
+          date: toIsoDate(rowData.rawDate) || String(rowData.rawDate),
+          total: rowData.rawTotal,
+          currency: rowData.currency
         }
       };
     }
   }
 
+  return best;
+}
+
+/**
+ * The row holding a Receipt ID, or null
+ */
+function findReceiptRow(sheet, receiptId) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow <= 1 || sheet.getLastColumn() < RECEIPT_ID_COLUMN) {
+    return null;
+  }
+
+  const ids = sheet.getRange(2, RECEIPT_ID_COLUMN, lastRow - 1, 1).getValues();
+  const index = ids.findIndex(row => row[0] === receiptId);
+  return index === -1 ? null : index + 2;
+}
+
+/**
+ * Compare two receipts ({ merchant, date, total, currency }) using the tolerances above
+ * Returns { score, reasons } when they look like the same receipt, otherwise null
+ */
+function compareReceipts(existing, incoming) {
+  const existingCents = toCents(existing.total);
+  const incomingCents = toCents(incoming.total);
+  if (existingCents === null || incomingCents === null) {
+    return null;
+  }
+  if (existing.currency && incoming.currency &&
+      String(existing.currency).toUpperCase() !== String(incoming.currency).toUpperCase()) {
+    return null;
+  }
+
+  const centsApart = Math.abs(existingCents - incomingCents);
+  const roundedMatch = (existingCents % 100 === 0 && Math.round(incomingCents / 100) * 100 === existingCents) ||
+    (incomingCents % 100 === 0 && Math.round(existingCents / 100) * 100 === incomingCents);
+  if (centsApart > DUPLICATE_AMOUNT_TOLERANCE_CENTS && !roundedMatch) {
+    return null;
+  }
+
+  const existingDate = toIsoDate(existing.date);
+  const incomingDate = toIsoDate(incoming.date);
+  if (!existingDate || !incomingDate) {
+    return null;
+  }
+  const daysApart = Math.round(Math.abs(new Date(existingDate) - new Date(incomingDate)) / 86400000);
+  if (daysApart > DUPLICATE_DATE_WINDOW_DAYS) {
+    return null;
+  }
+
+  const similarity = merchantSimilarity(existing.merchant, incoming.merchant);
+  if (similarity < DUPLICATE_MERCHANT_SIMILARITY) {
+    return null;
+  }
+
+  const reasons = [];
+  reasons.push(centsApart === 0
+    ? `Same total (${formatCentsValue(incomingCents)})`
+    : `Totals differ by rounding only (${formatCentsValue(existingCents)} vs ${formatCentsValue(incomingCents)})`);
+  reasons.push(daysApart === 0
+    ? `Same date (${incomingDate})`
+    : `Dates ${daysApart} day${daysApart === 1 ? '' : 's'} apart (${existingDate} vs ${incomingDate})`);
+  if (String(existing.merchant).trim() === String(incoming.merchant).trim()) {
+    reasons.push(`Same merchant (${incoming.merchant})`);
+  } else if (similarity === 1) {
+    reasons.push(`Same merchant apart from case, punctuation or store number ("${existing.merchant}" vs "${incoming.merchant}")`);
+  } else {
+    reasons.push(`Merchant names ${Math.round(similarity * 100)}% alike ("${existing.merchant}" vs "${incoming.merchant}")`);
+  }
+
+  // Exact matches rank above near matches when several rows qualify
+  const score = similarity - daysApart * 0.1 - centsApart * 0.01;
+  return { score: score, reasons: reasons };
+}
+
+/**
+ * Normalise a merchant name for comparison: case, accents, punctuation,
+ * store numbers and common company suffixes are ignored
+ */
+function normalizeMerchant(name) {
+  return String(name || '')
+    .toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/#\s*\d+|\bstore\s+\d+/g, ' ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/\b(inc|ltd|llc|corp|co|limited|the)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Similarity of two merchant names from 0 to 1 (1 - normalised edit distance)
+ * A name contained in the other ("Costco" / "Costco Wholesale") counts as a match
+ */
+function merchantSimilarity(a, b) {
+  const first = normalizeMerchant(a);
+  const second = normalizeMerchant(b);
+  if (!first || !second) {
+    return 0;
+  }
+  if (first === second) {
+    return 1;
+  }
+  if (first.indexOf(second) !== -1 || second.indexOf(first) !== -1) {
+    return 0.9;
+  }
+
+  // Levenshtein distance, one row at a time
+  let previous = [];
+  for (let j = 0; j <= second.length; j++) {
+    previous.push(j);
+  }
+  for (let i = 1; i <= first.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= second.length; j++) {
+      const cost = first[i - 1] === second[j - 1] ? 0 : 1;
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost));
+    }
+    previous = current;
+  }
+
+  return 1 - previous[second.length] / Math.max(first.length, second.length);
+}
+
+/**
+ * Results the web app's receipt_shared.js gives for the same inputs. This
+ * script can't load that file, so after changing the signing or duplicate
+ * rules on either side, regenerate these from receipt_shared.js and run
+ * testSharedLogic() from the editor.
+ */
+const SHARED_TEST_VECTORS = {
+  signature: {
+    secret: 'test-secret',
+    message: '2.1700000000000.0f8e7c6a-1b2c-4d3e-9f00-123456789abc.{"merchantName":"Café Test","total":"12.34"}',
+    expected: 'bfb9988d9c43bb49bcd78c5d16d7d09b1db11ec5d395738760c1e92b1b997cef'
+  },
+  comparisons: [
+    {
+      existing: { merchant: 'Costco Wholesale #123', date: '2024-03-01', total: '45.67' },
+      incoming: { merchant: 'COSTCO WHOLESALE', date: '2024-03-01', total: '45.67' },
+      expected: { score: 1, reasons: ['Same total (45.67)', 'Same date (2024-03-01)', 'Same merchant apart from case, punctuation or store number ("Costco Wholesale #123" vs "COSTCO WHOLESALE")'] }
+    },
+    {
+      existing: { merchant: 'Tim Hortons', date: '2024-03-01', total: '5.00' },
+      incoming: { merchant: 'Tim Hortns', date: '2024-03-02', total: '4.99' },
+      expected: { score: 0.7990909090909091, reasons: ['Totals differ by rounding only (5.00 vs 4.99)', 'Dates 1 day apart (2024-03-01 vs 2024-03-02)', 'Merchant names 91% alike ("Tim Hortons" vs "Tim Hortns")'] }
+    },
+    {
+      existing: { merchant: 'Shell', date: '2024-03-01', total: '60.00' },
+      incoming: { merchant: 'Shell', date: '2024-03-04', total: '60.00' },
+      expected: null
+    },
+    {
+      existing: { merchant: 'Staples', date: '2024-03-01', total: '20.00' },
+      incoming: { merchant: 'Walmart', date: '2024-03-01', total: '20.00' },
+      expected: null
+    },
+    {
+      existing: { merchant: 'Café Dépôt Inc.', date: '2024-03-01', total: '8.50' },
+      incoming: { merchant: 'cafe depot', date: '2024-03-01', total: '8.51' },
+      expected: { score: 0.99, reasons: ['Totals differ by rounding only (8.50 vs 8.51)', 'Same date (2024-03-01)', 'Same merchant apart from case, punctuation or store number ("Café Dépôt Inc." vs "cafe depot")'] }
+    },
+    {
+      existing: { merchant: 'Duty Free', date: '2024-03-01', total: '20.00', currency: 'USD' },
+      incoming: { merchant: 'Duty Free', date: '2024-03-01', total: '20.00', currency: 'CAD' },
+      expected: null
+    },
+    {
+      existing: { merchant: 'Duty Free', date: '2024-03-01', total: '20.00', currency: 'usd' },
+      incoming: { merchant: 'Duty Free', date: '2024-03-01', total: '20.00', currency: 'USD' },
+      expected: { score: 1, reasons: ['Same total (20.00)', 'Same date (2024-03-01)', 'Same merchant (Duty Free)'] }
+    }
+  ]
+};
+
+/**
+ * Check computeSignature() and compareReceipts() against SHARED_TEST_VECTORS.
+ * Run from the editor; throws listing every vector that no longer matches.
+ */
+function testSharedLogic() {
+  const failures = [];
+
+  const vector = SHARED_TEST_VECTORS.signature;
+  const signature = computeSignature(vector.message, vector.secret);
+  if (signature !== vector.expected) {
+    failures.push(`signature: got ${signature}, expected ${vector.expected}`);
+  }
+
+  SHARED_TEST_VECTORS.comparisons.forEach((comparison, index) => {
+    const result = compareReceipts(comparison.existing, comparison.incoming);
+    const expected = comparison.expected;
+    const matches = result === null || expected === null
+      ? result === expected
+      : Math.abs(result.score - expected.score) < 1e-9 && JSON.stringify(result.reasons) === JSON.stringify(expected.reasons);
+    if (!matches) {
+      failures.push(`comparison ${index + 1}: got ${JSON.stringify(result)}, expected ${JSON.stringify(expected)}`);
+    }
+  });
+
+  if (failures.length > 0) {
+    throw new Error('Shared logic differs from the web app:\n' + failures.join('\n'));
+  }
+  console.log(`All ${SHARED_TEST_VECTORS.comparisons.length + 1} shared test vectors pass`);
+}
+
+/**
+ * Read a sheet or request value as YYYY-MM-DD
+ * Sheets may hand back Date objects for cells it auto-formatted
+ */
+function toIsoDate(value) {
+  if (value instanceof Date) {
+    return Utilities.formatDate(value, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  }
+
+  const text = String(value || '').trim();
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) {
+    return iso[0];
+  }
+
+  // Rows saved before the web app normalised dates hold the printed text
+  const parsed = new Date(text);
+  if (text && !isNaN(parsed.getTime())) {
+    return Utilities.formatDate(parsed, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  }
   return null;
 }
 
+/**
+ * Convert "$1,234.56", 1234.56 or "1234.56" to whole cents, or null
+ */
+function toCents(value) {
+  const number = typeof value === 'number' ? value : parseFloat(String(value || '').replace(/[^\d.-]/g, ''));
+  return isNaN(number) ? null : Math.round(number * 100);
+}
+
+function formatCentsValue(cents) {
+  return (cents / 100).toFixed(2);
+}
+
 /**
  * Create a CORS-enabled response
  * This allows the web app to read the response
@@ -195,17 +911,190 @@ function createCorsResponse(data) {
 }
 
 /**
- * Handle GET requests (for testing)
+ * Handle GET requests
+ * ?action=report returns spending aggregates as JSON (see buildReport). Its
+ * signed `request` parameter carries the filters: from, to (YYYY-MM-DD,
+ * inclusive), merchant, category and currency (see REPORT_FILTER_SCHEMA).
+ * Without an action this just confirms the script is running.
  */
 function doGet(e) {
+  const params = (e && e.parameter) || {};
+
+  if (params.action === 'report') {
+    try {
+      // The filters travel as a signed envelope in the `request` parameter
+      const filters = verifyRequest(parseEnvelope(params.request));
+      validateFields(filters, REPORT_FILTER_SCHEMA, '');
+
+      const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+      const lastRow = sheet.getLastRow();
+      const rows = lastRow > 1
+        ? sheet.getRange(2, 1, lastRow - 1, Math.min(COLUMN_COUNT, sheet.getLastColumn())).getValues()
+        : [];
+
+      return createCorsResponse(Object.assign({ success: true }, buildReport(rows, filters)));
+    } catch (error) {
+      return createErrorResponse(error);
+    }
+  }
+
   return ContentService
-    .createTextOutput('Receipt Scanner Google Apps Script is running! Use POST to submit receipt data.')
+    .createTextOutput(`Receipt Scanner Google Apps Script is running (protocol version ${PROTOCOL_VERSION})! Use POST to submit receipt data, or GET ?action=report for spending reports.`)
     .setMimeType(ContentService.MimeType.TEXT);
 }
 
+const REPORT_TOP_MERCHANTS = 15;
+const REPORT_TOP_ITEMS = 10;
+
+/**
+ * Aggregate sheet rows for the dashboard
+ * With a currency filter, amounts are in that currency. Otherwise they use the
+ * converted home currency columns, and rows saved without an exchange rate are
+ * left out of the sums and counted in `unconverted`.
+ */
+function buildReport(rows, filters) {
+  const merchantFilter = normalizeMerchant(filters.merchant);
+  const categoryFilter = String(filters.category || '').trim().toLowerCase();
+  const currencyFilter = String(filters.currency || '').trim().toUpperCase();
+
+  const receipts = rows.map(readReportRow).filter(receipt => {
+    if (filters.from && (!receipt.date || receipt.date < filters.from)) return false;
+    if (filters.to && (!receipt.date || receipt.date > filters.to)) return false;
+    if (merchantFilter && normalizeMerchant(receipt.merchant).indexOf(merchantFilter) === -1) return false;
+    if (categoryFilter && receipt.category.toLowerCase() !== categoryFilter) return false;
+    if (currencyFilter && receipt.currency !== currencyFilter) return false;
+    return true;
+  });
+
+  // Pick the amounts to add up for each receipt
+  let basisCurrency = currencyFilter;
+  if (!basisCurrency) {
+    const converted = receipts.filter(receipt => receipt.homeCurrency && receipt.homeTotal !== null);
+    basisCurrency = converted.length > 0 ? converted[converted.length - 1].homeCurrency : '';
+  }
+  const amountsFor = receipt => {
+    if (currencyFilter) {
+      return { total: receipt.total, tax: receipt.tax, rate: 1 };
+    }
+    if (receipt.homeCurrency === basisCurrency && receipt.homeTotal !== null) {
+      return { total: receipt.homeTotal, tax: receipt.homeTax, rate: receipt.rate };
+    }
+    return null;
+  };
+
+  const totals = { count: 0, total: 0, tax: 0 };
+  const months = {};
+  const merchants = {};
+  const categories = {};
+  const items = {};
+  const currencies = {};
+  let unconverted = 0;
+
+  receipts.forEach(receipt => {
+    currencies[receipt.currency] = (currencies[receipt.currency] || 0) + 1;
+
+    const amounts = amountsFor(receipt);
+    if (!amounts) {
+      unconverted++;
+      return;
+    }
+
+    addToGroup(totals, amounts);
+    addToGroup(months[receipt.month] || (months[receipt.month] = { month: receipt.month, count: 0, total: 0, tax: 0 }), amounts);
+
+    const merchantKey = normalizeMerchant(receipt.merchant) || 'unknown';
+    addToGroup(merchants[merchantKey] || (merchants[merchantKey] = { merchant: receipt.merchant || 'Unknown', count: 0, total: 0, tax: 0 }), amounts);
+
+    const category = receipt.category || 'Uncategorized';
+    addToGroup(categories[category] || (categories[category] = { category: category, count: 0, total: 0, tax: 0 }), amounts);
+
+    receipt.items.forEach(item => {
+      const key = item.description.toLowerCase();
+      const group = items[key] || (items[key] = { description: item.description, quantity: 0, receipts: 0, total: 0 });
+      group.quantity += item.quantity;
+      group.receipts++;
+      group.total += Math.round(item.cents * amounts.rate);
+    });
+  });
+
+  const byTotal = (a, b) => b.total - a.total;
+  const toAmounts = group => Object.assign({}, group, {
+    total: group.total / 100,
+    tax: group.tax === undefined ? undefined : group.tax / 100
+  });
+
+  return {
+    filters: {
+      from: filters.from || '',
+      to: filters.to || '',
+      merchant: filters.merchant || '',
+      category: filters.category || '',
+      currency: currencyFilter
+    },
+    currency: basisCurrency,
+    unconverted: unconverted,
+    receiptCount: receipts.length,
+    currencies: currencies,
+    totals: toAmounts(totals),
+    byMonth: Object.keys(months).sort().map(month => toAmounts(months[month])),
+    byMerchant: Object.keys(merchants).map(key => merchants[key]).sort(byTotal).slice(0, REPORT_TOP_MERCHANTS).map(toAmounts),
+    byCategory: Object.keys(categories).map(key => categories[key]).sort(byTotal).map(toAmounts),
+    topItems: Object.keys(items).map(key => items[key]).sort(byTotal).slice(0, REPORT_TOP_ITEMS).map(toAmounts)
+  };
+}
+
+function addToGroup(group, amounts) {
+  group.count++;
+  group.total += amounts.total;
+  group.tax += amounts.tax;
+}
+
+/**
+ * Read one sheet row into the fields the report needs; amounts are in cents
+ */
+function readReportRow(row) {
+  const date = toIsoDate(row[9] || row[0]);
+  const homeTotal = row[HOME_CURRENCY_COLUMN + 1];
+
+  return {
+    date: date,
+    month: date ? date.slice(0, 7) : 'Undated',
+    merchant: String(row[2] || ''),
+    total: toCents(row[3]) || 0,
+    currency: String(row[4] || 'USD'),
+    tax: toCents(row[5]) || 0,
+    items: parseItemsText(row[7]),
+    category: String(row[CATEGORY_COLUMN - 1] || ''),
+    homeCurrency: String(row[HOME_CURRENCY_COLUMN - 1] || ''),
+    rate: Number(row[HOME_CURRENCY_COLUMN]) || 1,
+    homeTotal: homeTotal === '' || homeTotal === undefined ? null : toCents(homeTotal),
+    homeTax: toCents(row[HOME_CURRENCY_COLUMN + 2]) || 0
+  };
+}
+
+/**
+ * Parse the Items column ("Description x2 @ CAD 4.00; ...") back into items
+ */
+function parseItemsText(text) {
+  return String(text || '')
+    .split('; ')
+    .map(part => {
+      const match = part.match(/^(.*) x([\d.]+) @ (?:[A-Z]{3} )?(.*)$/);
+      if (!match) return null;
+      return {
+        description: match[1].trim(),
+        quantity: parseFloat(match[2]) || 1,
+        cents: toCents(match[3]) || 0
+      };
+    })
+    .filter(item => item && item.description);
+}
+
 /**
  * Optional: Function to get receipt statistics
- * You can call this from the script editor to see stats
+ * You can call this from the script editor to see stats. Amounts are only
+ * added up within a currency; the home currency total uses the converted
+ * columns, and receipts saved without a rate are counted separately.
  */
 function getReceiptStats() {
   const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
@@ -216,19 +1105,62 @@ function getReceiptStats() {
     return;
   }
 
-  // Get all totals (column D, starting from row 2)
-  const totals = sheet.getRange(2, 4, lastRow - 1, 1).getValues();
+  const columns = Math.min(COLUMN_COUNT, sheet.getLastColumn());
+  const data = sheet.getRange(2, 1, lastRow - 1, columns).getValues();
+
+  const byCurrency = {};
+  const home = { currency: '', total: 0, tax: 0, converted: 0, unconverted: 0 };
+
+  data.forEach(row => {
+    const currency = row[4] || 'USD';
+    const totals = byCurrency[currency] || (byCurrency[currency] = { count: 0, total: 0, tax: 0 });
+    totals.count++;
+    totals.total += toCents(row[3]) || 0;
+    totals.tax += toCents(row[5]) || 0;
 
-  let sum = 0;
-  totals.forEach(row => {
-    const value = parseFloat(row[0]);
-    if (!isNaN(value)) {
-      sum += value;
+    const homeCurrency = row[HOME_CURRENCY_COLUMN - 1];
+    const homeTotal = row[HOME_CURRENCY_COLUMN + 1];
+    if (homeCurrency && homeTotal !== '') {
+      // The latest home currency wins if it was changed along the way
+      if (home.currency && home.currency !== homeCurrency) {
+        console.log(`Note: rows use more than one home currency (${home.currency}, ${homeCurrency})`);
+      }
+      home.currency = homeCurrency;
+      home.total += toCents(homeTotal) || 0;
+      home.tax += toCents(row[HOME_CURRENCY_COLUMN + 2]) || 0;
+      home.converted++;
+    } else {
+      home.unconverted++;
     }
   });
 
-  console.log(`Total receipts: ${lastRow - 1}`);
-  console.log(`Total amount: ${sum.toFixed(2)}`);
+  console.log(`Total receipts: ${data.length}`);
+  Object.keys(byCurrency).sort().forEach(currency => {
+    const totals = byCurrency[currency];
+    console.log(`${currency}: ${totals.count} receipts, total ${formatCentsValue(totals.total)}, tax ${formatCentsValue(totals.tax)}`);
+  });
+  if (home.currency) {
+    console.log(`In ${home.currency}: total ${formatCentsValue(home.total)}, tax ${formatCentsValue(home.tax)} (${home.converted} receipts)`);
+  }
+  if (home.unconverted > 0) {
+    console.log(`${home.unconverted} receipts have no exchange rate and are not in the home currency total`);
+  }
+
+  return {
+    count: data.length,
+    byCurrency: Object.keys(byCurrency).reduce((result, currency) => {
+      const totals = byCurrency[currency];
+      result[currency] = { count: totals.count, total: totals.total / 100, tax: totals.tax / 100 };
+      return result;
+    }, {}),
+    home: {
+      currency: home.currency,
+      total: home.total / 100,
+      tax: home.tax / 100,
+      converted: home.converted,
+      unconverted: home.unconverted
+    }
+  };
 }
 
 /**
@@ -276,6 +1208,369 @@ function migrateOldRows() {
   SpreadsheetApp.getUi().alert(`Migration complete! Updated ${migratedCount} rows.`);
 }
 
+/**
+ * Save a receipt's image to the Drive folder and return its URL
+ * Files are named date_merchant_total, e.g. 2025-03-14_Tim-Hortons_12.34.jpg
+ */
+function saveReceiptImage(data) {
+  const mimeType = data.image.mimeType || 'image/jpeg';
+  const extension = mimeType === 'image/png' ? 'png' : 'jpg';
+  const merchant = String(data.merchantName || 'Unknown')
+    .replace(/[^A-Za-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40) || 'Unknown';
+  const fileName = `${data.date || 'undated'}_${merchant}_${data.total || '0.00'}.${extension}`;
+
+  const blob = Utilities.newBlob(Utilities.base64Decode(data.image.data), mimeType, fileName);
+  const file = getReceiptImageFolder().createFile(blob);
+  file.setDescription(`${data.merchantName || 'Unknown'} - ${data.date || ''} - ${data.currency || ''} ${data.total || ''}`);
+  return file.getUrl();
+}
+
+function getReceiptImageFolder() {
+  if (RECEIPT_IMAGE_FOLDER_ID) {
+    return DriveApp.getFolderById(RECEIPT_IMAGE_FOLDER_ID);
+  }
+  const folders = DriveApp.getFoldersByName(RECEIPT_IMAGE_FOLDER_NAME);
+  return folders.hasNext() ? folders.next() : DriveApp.createFolder(RECEIPT_IMAGE_FOLDER_NAME);
+}
+
+/**
+ * Values for the home currency columns: [currency, rate, total, tax]
+ */
+function convertToHomeCurrency(data) {
+  const homeCurrency = data.homeCurrency || '';
+  let rate = null;
+  if (homeCurrency && (data.currency || 'USD') === homeCurrency) {
+    rate = 1;
+  } else if (data.exchangeRate > 0) {
+    rate = Number(data.exchangeRate);
+  }
+
+  if (rate === null) {
+    return [homeCurrency, '', '', ''];
+  }
+
+  const total = toCents(data.total || '0');
+  const tax = toCents(data.tax || '0');
+  return [
+    homeCurrency,
+    rate,
+    formatCentsValue(Math.round((total || 0) * rate)),
+    formatCentsValue(Math.round((tax || 0) * rate))
+  ];
+}
+
+/**
+ * Add a header to sheets created before the column existed
+ */
+function ensureColumnHeader(sheet, column, title) {
+  const header = sheet.getRange(1, column);
+  if (header.getValue() === '') {
+    header.setValue(title);
+    header.setFontWeight('bold');
+    header.setBackground('#667eea');
+    header.setFontColor('#ffffff');
+  }
+}
+
+/**
+ * Replace the Category Rules sheet with the web app's rules
+ */
+function saveCategoryRules(rules) {
+  const rulesSheet = getCategoryRulesSheet();
+  const rows = rules.map(rule => [
+    rule.category,
+    (rule.merchants || []).join('\n'),
+    (rule.items || []).join('\n')
+  ]);
+
+  if (rulesSheet.getLastRow() > 1) {
+    rulesSheet.getRange(2, 1, rulesSheet.getLastRow() - 1, CATEGORY_RULES_COLUMNS.length).clearContent();
+  }
+  if (rows.length > 0) {
+    // Plain text, so patterns like "7-11" aren't read as dates or numbers
+    rulesSheet.getRange(2, 1, rows.length, CATEGORY_RULES_COLUMNS.length)
+      .setNumberFormat('@STRING@')
+      .setValues(rows);
+  }
+
+  PropertiesService.getScriptProperties().deleteProperty(LEGACY_CATEGORY_RULES_PROPERTY);
+}
+
+/**
+ * The rules on the Category Rules sheet; before the web app has sent any, the
+ * ones an earlier version stored in Script Properties, or the defaults
+ */
+function getCategoryRules() {
+  const rulesSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CATEGORY_RULES_SHEET_NAME);
+  if (rulesSheet) {
+    const splitPatterns = cell => String(cell).split('\n').filter(Boolean);
+    return rulesSheet.getLastRow() > 1
+      ? rulesSheet.getRange(2, 1, rulesSheet.getLastRow() - 1, CATEGORY_RULES_COLUMNS.length).getValues()
+        .filter(row => String(row[0]).trim())
+        .map(row => ({ category: String(row[0]).trim(), merchants: splitPatterns(row[1]), items: splitPatterns(row[2]) }))
+      : [];
+  }
+
+  const saved = PropertiesService.getScriptProperties().getProperty(LEGACY_CATEGORY_RULES_PROPERTY);
+  return saved ? JSON.parse(saved) : DEFAULT_CATEGORY_RULES;
+}
+
+/**
+ * The Category Rules sheet, created with its headers on first use
+ */
+function getCategoryRulesSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let rulesSheet = ss.getSheetByName(CATEGORY_RULES_SHEET_NAME);
+
+  if (!rulesSheet) {
+    rulesSheet = ss.insertSheet(CATEGORY_RULES_SHEET_NAME, ss.getNumSheets());
+    rulesSheet.appendRow(CATEGORY_RULES_COLUMNS);
+    rulesSheet.getRange(1, 1, 1, CATEGORY_RULES_COLUMNS.length)
+      .setFontWeight('bold')
+      .setBackground('#667eea')
+      .setFontColor('#ffffff');
+    rulesSheet.setFrozenRows(1);
+  }
+
+  return rulesSheet;
+}
+
+/**
+ * Suggest a category for a merchant and its items text
+ * Same scoring as suggestCategory() in receipt_scanner.html: a merchant match
+ * scores 10, each matching item 1, and earlier rules win ties
+ */
+function categorize(merchant, itemDescriptions, rules) {
+  let best = null;
+
+  rules.forEach(rule => {
+    let score = 0;
+    if ((rule.merchants || []).some(pattern => matchesPattern(pattern, merchant))) {
+      score += 10;
+    }
+    itemDescriptions.forEach(description => {
+      if ((rule.items || []).some(pattern => matchesPattern(pattern, description))) {
+        score += 1;
+      }
+    });
+
+    if (score > 0 && (!best || score > best.score)) {
+      best = { category: rule.category, score: score };
+    }
+  });
+
+  return best ? best.category : '';
+}
+
+/**
+ * "/regex/" patterns are regular expressions, anything else matches as text, ignoring case
+ */
+function matchesPattern(pattern, text) {
+  const regex = pattern.match(/^\/(.+)\/$/);
+  if (regex) {
+    return new RegExp(regex[1], 'i').test(text || '');
+  }
+  return String(text || '').toLowerCase().indexOf(pattern.toLowerCase()) !== -1;
+}
+
+/**
+ * Migration function: Fill the Category column for existing rows
+ * Rows that already have a category are left alone.
+ * Run this once from the Apps Script editor: Run > Run function > migrateCategories
+ */
+function migrateCategories() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+  const lastRow = sheet.getLastRow();
+
+  if (lastRow <= 1) {
+    console.log('No data to migrate');
+    return;
+  }
+
+  ensureColumnHeader(sheet, CATEGORY_COLUMN, 'Category');
+
+  const rules = getCategoryRules();
+  const data = sheet.getRange(2, 1, lastRow - 1, RECEIPT_ID_COLUMN).getValues();
+  const categoriesById = {};
+
+  let migratedCount = 0;
+
+  for (let i = 0; i < data.length; i++) {
+    const row = data[i];
+    if (row[CATEGORY_COLUMN - 1]) {
+      continue;
+    }
+
+    const descriptions = parseItemsText(row[7]).map(item => item.description);
+
+    const category = categorize(row[2], descriptions, rules);
+    if (category) {
+      sheet.getRange(i + 2, CATEGORY_COLUMN).setValue(category);
+      if (row[RECEIPT_ID_COLUMN - 1]) {
+        categoriesById[row[RECEIPT_ID_COLUMN - 1]] = category;
+      }
+      migratedCount++;
+    }
+  }
+
+  // Give the receipts' item rows the same category
+  const itemsSheet = getItemsSheet();
+  if (itemsSheet.getLastRow() > 1) {
+    const itemCells = itemsSheet.getRange(2, 1, itemsSheet.getLastRow() - 1, ITEMS_CATEGORY_COLUMN).getValues();
+    itemCells.forEach((itemRow, index) => {
+      const category = categoriesById[itemRow[0]];
+      if (category && !itemRow[ITEMS_CATEGORY_COLUMN - 1]) {
+        itemsSheet.getRange(index + 2, ITEMS_CATEGORY_COLUMN).setValue(category);
+      }
+    });
+  }
+
+  console.log(`Categorised ${migratedCount} rows`);
+  SpreadsheetApp.getUi().alert(`Migration complete! Categorised ${migratedCount} of ${data.length} rows.`);
+}
+
+/**
+ * The Items sheet, created with its headers on first use
+ */
+function getItemsSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let itemsSheet = ss.getSheetByName(ITEMS_SHEET_NAME);
+
+  if (!itemsSheet) {
+    itemsSheet = ss.insertSheet(ITEMS_SHEET_NAME, ss.getNumSheets());
+    itemsSheet.appendRow(ITEMS_COLUMNS);
+    itemsSheet.getRange(1, 1, 1, ITEMS_COLUMNS.length)
+      .setFontWeight('bold')
+      .setBackground('#667eea')
+      .setFontColor('#ffffff');
+    itemsSheet.setFrozenRows(1);
+  }
+
+  return itemsSheet;
+}
+
+/**
+ * Append line items ({ receiptId, date, merchant, description, quantity, cents,
+ * currency, category }) to the Items sheet in one write
+ */
+function appendItemRows(itemsSheet, items) {
+  if (items.length === 0) {
+    return;
+  }
+
+  const rows = items.map(item => [
+    item.receiptId,
+    item.date,
+    item.merchant,
+    item.description,
+    item.quantity,
+    Number(formatCentsValue(Math.round(item.cents / item.quantity))),
+    Number(formatCentsValue(item.cents)),
+    item.currency,
+    item.category
+  ]);
+
+  const firstRow = itemsSheet.getLastRow() + 1;
+  itemsSheet.getRange(firstRow, 1, rows.length, ITEMS_COLUMNS.length).setValues(rows);
+  itemsSheet.getRange(firstRow, 6, rows.length, 2).setNumberFormat('0.00');
+}
+
+/**
+ * Migration and repair function: bring the Items sheet in line with the receipts
+ * - receipts without a Receipt ID (saved before the Items sheet existed) get one,
+ *   and their Items column is split into item rows
+ * - item rows whose receipt is gone (e.g. a duplicate row deleted by hand) are removed
+ * Safe to run again at any time: Run > Run function > syncItemsSheet
+ */
+function syncItemsSheet() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+  const lastRow = sheet.getLastRow();
+  const itemsSheet = getItemsSheet();
+
+  ensureColumnHeader(sheet, RECEIPT_ID_COLUMN, 'Receipt ID');
+
+  const data = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, RECEIPT_ID_COLUMN).getValues() : [];
+  const receiptIds = {};
+  const newItems = [];
+  let assignedCount = 0;
+
+  data.forEach((row, index) => {
+    let receiptId = row[RECEIPT_ID_COLUMN - 1];
+    if (!receiptId) {
+      receiptId = Utilities.getUuid();
+      sheet.getRange(index + 2, RECEIPT_ID_COLUMN).setValue(receiptId);
+      assignedCount++;
+
+      parseItemsText(row[7]).forEach(item => {
+        newItems.push({
+          receiptId: receiptId,
+          date: toIsoDate(row[9] || row[0]) || '',
+          merchant: String(row[2] || 'Unknown'),
+          description: item.description,
+          quantity: item.quantity,
+          cents: item.cents,
+          currency: String(row[4] || 'USD'),
+          category: String(row[CATEGORY_COLUMN - 1] || '')
+        });
+      });
+    }
+    receiptIds[receiptId] = true;
+  });
+
+  // Delete orphaned item rows from the bottom up so row numbers stay valid
+  let removedCount = 0;
+  if (itemsSheet.getLastRow() > 1) {
+    const itemIds = itemsSheet.getRange(2, 1, itemsSheet.getLastRow() - 1, 1).getValues();
+    for (let i = itemIds.length - 1; i >= 0; i--) {
+      if (!receiptIds[itemIds[i][0]]) {
+        itemsSheet.deleteRow(i + 2);
+        removedCount++;
+      }
+    }
+  }
+
+  appendItemRows(itemsSheet, newItems);
+
+  const summary = `Gave ${assignedCount} receipts an ID, added ${newItems.length} item rows and removed ${removedCount} orphaned item rows.`;
+  console.log(summary);
+  SpreadsheetApp.getUi().alert(`Items sheet updated! ${summary}`);
+}
+
+/**
+ * Delete a receipt and its item rows, e.g. a duplicate that was saved anyway.
+ * Run it from the editor and it asks for the Receipt ID.
+ */
+function removeReceipt(receiptId) {
+  if (!receiptId) {
+    const ui = SpreadsheetApp.getUi();
+    const response = ui.prompt('Remove receipt', 'Receipt ID to remove from the receipts and Items sheets:', ui.ButtonSet.OK_CANCEL);
+    if (response.getSelectedButton() !== ui.Button.OK) {
+      return 0;
+    }
+    receiptId = response.getResponseText().trim();
+  }
+
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+  const itemsSheet = getItemsSheet();
+  let removedCount = 0;
+
+  [[sheet, RECEIPT_ID_COLUMN], [itemsSheet, 1]].forEach(([target, column]) => {
+    if (target.getLastRow() <= 1) return;
+    const ids = target.getRange(2, column, target.getLastRow() - 1, 1).getValues();
+    for (let i = ids.length - 1; i >= 0; i--) {
+      if (ids[i][0] === receiptId) {
+        target.deleteRow(i + 2);
+        removedCount++;
+      }
+    }
+  });
+
+  console.log(`Removed ${removedCount} rows for receipt ${receiptId}`);
+  return removedCount;
+}
+
 /**
  * Write debug information to a "Debug" sheet
  */
@@ -0,0 +1,159 @@
+// Receipt Scanner Shared Code
+// Loaded by receipt_scanner.html with a script tag and by sw.js with
+// importScripts(), so it only uses what a page and a worker both have: no DOM
+// and no config. google_apps_script.js can't load it and has its own copy of
+// the signing and duplicate rules; testSharedLogic() there checks that copy
+// against vectors produced by this file, so change both together.
+
+// Request Signing
+// Every request to the Apps Script is an envelope signed with the shared
+// secret: { version, timestamp, nonce, payload, signature }, where the
+// signature is the hex HMAC-SHA256 of "version.timestamp.nonce.payload".
+const PROTOCOL_VERSION = 2;
+
+// Returns the JSON envelope to send for a payload; key is an HMAC CryptoKey
+async function signRequest(payload, key) {
+    const envelope = {
+        version: PROTOCOL_VERSION,
+        timestamp: Date.now(),
+        nonce: crypto.randomUUID(),
+        payload: JSON.stringify(payload)
+    };
+    const message = `${envelope.version}.${envelope.timestamp}.${envelope.nonce}.${envelope.payload}`;
+    const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(message));
+    envelope.signature = Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+    return JSON.stringify(envelope);
+}
+
+// Apps Script can take a while with a large image, but a request still running
+// when its outbox lease (OUTBOX_LEASE_MS in the page, SEND_LEASE_MS in sw.js)
+// runs out could be sent a second time, so it is abandoned well before that.
+const SHEET_REQUEST_TIMEOUT_MS = 120000;
+
+// POST a signed body to the Apps Script; rejects if it can't be reached or
+// hasn't answered within SHEET_REQUEST_TIMEOUT_MS
+async function postToSheet(url, body) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), SHEET_REQUEST_TIMEOUT_MS);
+    try {
+        return await fetch(url, {
+            method: 'POST',
+            redirect: 'follow',
+            headers: {
+                'Content-Type': 'text/plain;charset=utf-8'
+            },
+            body,
+            signal: controller.signal
+        });
+    } catch (error) {
+        if (controller.signal.aborted) {
+            throw new Error(`Google Sheets didn't answer within ${SHEET_REQUEST_TIMEOUT_MS / 1000} seconds`);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Read the Apps Script's JSON reply. Anything else - an HTTP error, an error or
+// quota page, a Google sign-in page - says nothing about whether the row was
+// written, so it throws and the receipt stays in the outbox.
+async function readSheetResponse(response) {
+    if (!response.ok) {
+        throw new Error(`Google Sheets answered HTTP ${response.status}`);
+    }
+    const text = await response.text();
+    try {
+        return JSON.parse(text);
+    } catch {
+        throw new Error('Google Sheets sent a page instead of a reply - check that the Apps Script is deployed with access for "Anyone"');
+    }
+}
+
+// Amounts
+function toCents(amount) {
+    return Math.round(parseFloat(amount) * 100);
+}
+
+function formatCents(cents) {
+    return (cents / 100).toFixed(2);
+}
+
+// Duplicate Matching
+// Receipts are read by OCR, so the same receipt rarely comes back with exactly
+// the same text twice. Two receipts match when the merchant names are at least
+// DUPLICATE_MERCHANT_SIMILARITY alike, the dates at most
+// DUPLICATE_DATE_WINDOW_DAYS apart and the totals within
+// DUPLICATE_AMOUNT_TOLERANCE_CENTS, or one is the other rounded to a whole amount.
+// Totals in different currencies never match; a missing currency matches any.
+const DUPLICATE_MERCHANT_SIMILARITY = 0.6;
+const DUPLICATE_DATE_WINDOW_DAYS = 1;
+const DUPLICATE_AMOUNT_TOLERANCE_CENTS = 2;
+
+// Compare two receipts ({ merchant, date, cents, currency }); { score, reasons } or null
+function compareReceipts(existing, incoming) {
+    if (isNaN(existing.cents) || isNaN(incoming.cents)) return null;
+    if (existing.currency && incoming.currency &&
+        String(existing.currency).toUpperCase() !== String(incoming.currency).toUpperCase()) return null;
+
+    const centsApart = Math.abs(existing.cents - incoming.cents);
+    const roundedMatch = (existing.cents % 100 === 0 && Math.round(incoming.cents / 100) * 100 === existing.cents) ||
+        (incoming.cents % 100 === 0 && Math.round(existing.cents / 100) * 100 === incoming.cents);
+    if (centsApart > DUPLICATE_AMOUNT_TOLERANCE_CENTS && !roundedMatch) return null;
+
+    if (!existing.date || !incoming.date) return null;
+    const daysApart = Math.round(Math.abs(new Date(existing.date) - new Date(incoming.date)) / 86400000);
+    if (isNaN(daysApart) || daysApart > DUPLICATE_DATE_WINDOW_DAYS) return null;
+
+    const similarity = merchantSimilarity(existing.merchant, incoming.merchant);
+    if (similarity < DUPLICATE_MERCHANT_SIMILARITY) return null;
+
+    const reasons = [];
+    reasons.push(centsApart === 0
+        ? `Same total (${formatCents(incoming.cents)})`
+        : `Totals differ by rounding only (${formatCents(existing.cents)} vs ${formatCents(incoming.cents)})`);
+    reasons.push(daysApart === 0
+        ? `Same date (${incoming.date})`
+        : `Dates ${daysApart} day${daysApart === 1 ? '' : 's'} apart (${existing.date} vs ${incoming.date})`);
+    if (String(existing.merchant).trim() === String(incoming.merchant).trim()) {
+        reasons.push(`Same merchant (${incoming.merchant})`);
+    } else if (similarity === 1) {
+        reasons.push(`Same merchant apart from case, punctuation or store number ("${existing.merchant}" vs "${incoming.merchant}")`);
+    } else {
+        reasons.push(`Merchant names ${Math.round(similarity * 100)}% alike ("${existing.merchant}" vs "${incoming.merchant}")`);
+    }
+
+    return { score: similarity - daysApart * 0.1 - centsApart * 0.01, reasons };
+}
+
+// Ignore case, accents, punctuation, store numbers and company suffixes
+function normalizeMerchant(name) {
+    return String(name || '')
+        .toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/#\s*\d+|\bstore\s+\d+/g, ' ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .replace(/\b(inc|ltd|llc|corp|co|limited|the)\b/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// 0-1, from the edit distance of the normalised names
+function merchantSimilarity(a, b) {
+    const first = normalizeMerchant(a);
+    const second = normalizeMerchant(b);
+    if (!first || !second) return 0;
+    if (first === second) return 1;
+    if (first.includes(second) || second.includes(first)) return 0.9;
+
+    let previous = Array.from({ length: second.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= first.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= second.length; j++) {
+            const cost = first[i - 1] === second[j - 1] ? 0 : 1;
+            current.push(Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost));
+        }
+        previous = current;
+    }
+    return 1 - previous[second.length] / Math.max(first.length, second.length);
+}
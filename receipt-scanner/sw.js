@@ -0,0 +1,217 @@
+// Receipt Scanner Service Worker
+// Caches the app shell so the scanner opens without a connection, and sends
+// receipts waiting in the outbox to Google Sheets through Background Sync.
+// The outbox lives in the same IndexedDB database as the page's batch queue;
+// this worker only ever touches the outbox store and reports back to the page.
+
+const CACHE_NAME = 'receipt-scanner-v5';
+const SYNC_TAG = 'receipt-outbox';
+const DB_NAME = 'receiptScanner';
+const DB_VERSION = 3;
+const OUTBOX_STORE = 'outbox';
+// Longer than SHEET_REQUEST_TIMEOUT_MS, so a lease never ends mid-request
+const SEND_LEASE_MS = 180000;
+
+// signRequest(), postToSheet() and readSheetResponse()
+importScripts('receipt_shared.js');
+
+const PRECACHE_URLS = [
+    'receipt_scanner.html',
+    'receipt_shared.js',
+    'manifest.json',
+    'favicon.png',
+    'icons/Icon-192.png',
+    'icons/Icon-512.png',
+    // On-device OCR and PDF import, so they work offline from the first visit
+    'vendor/tesseract/tesseract.min.js',
+    'vendor/tesseract/worker.min.js',
+    'vendor/tesseract/tesseract-core-lstm.wasm.js',
+    'vendor/tesseract/tesseract-core-simd-lstm.wasm.js',
+    'vendor/pdfjs/pdf.min.js',
+    'vendor/pdfjs/pdf.worker.min.js'
+];
+
+self.addEventListener('install', function(event) {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', function(event) {
+    // Drop caches left behind by older versions of this worker
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', function(event) {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    // Only same-origin GETs are cached; OCR, Apps Script and Tesseract language data requests pass through
+    if (request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+
+    // Stale-while-revalidate: answer from the cache, refresh it in the background
+    const cacheKey = url.origin + url.pathname;
+    event.respondWith(
+        caches.open(CACHE_NAME).then(cache =>
+            cache.match(cacheKey).then(cached => {
+                const network = fetch(request)
+                    .then(response => {
+                        if (response.ok) {
+                            cache.put(cacheKey, response.clone());
+                        }
+                        return response;
+                    })
+                    .catch(err => {
+                        if (cached) {
+                            return cached;
+                        }
+                        throw err;
+                    });
+
+                event.waitUntil(network.catch(() => {}));
+                return cached || network;
+            })
+        )
+    );
+});
+
+self.addEventListener('sync', function(event) {
+    if (event.tag === SYNC_TAG) {
+        event.waitUntil(flushOutbox());
+    }
+});
+
+// Send every outbox entry that isn't already being sent by an open page.
+// Rejects while entries are still waiting on the network so the browser
+// schedules another sync attempt.
+async function flushOutbox() {
+    const entries = await outboxRequest('readonly', store => store.getAll());
+    let waiting = 0;
+
+    for (const entry of entries) {
+        // Entries queued before requests were signed have no key; the page sends those
+        if (entry.rejected || !entry.signingKey) continue;
+
+        const outcome = await sendOutboxEntry(entry.id);
+        if (outcome === 'retry') {
+            waiting++;
+        }
+    }
+
+    await notifyClients({ type: 'outbox-changed' });
+
+    if (waiting > 0) {
+        throw new Error(`${waiting} receipt(s) still waiting to sync`);
+    }
+}
+
+// Keep in step with syncOutboxEntry() in receipt_scanner.html
+async function sendOutboxEntry(id) {
+    const entry = await claimOutboxEntry(id);
+    if (!entry) return 'busy';
+
+    let response;
+    try {
+        // The entry's ID is the Receipt ID, so a resend after a lost reply is harmless
+        response = await postToSheet(entry.url, await signRequest({ ...entry.payload, receiptId: entry.id }, entry.signingKey));
+    } catch (error) {
+        // Still offline or timed out - release the lease and try again later
+        await putOutboxEntry({ ...entry, lockedUntil: 0, attempts: (entry.attempts || 0) + 1, lastError: error.message });
+        return 'retry';
+    }
+
+    let result;
+    try {
+        result = await readSheetResponse(response);
+    } catch (error) {
+        await putOutboxEntry({ ...entry, lockedUntil: 0, attempts: (entry.attempts || 0) + 1, lastError: error.message });
+        return 'retry';
+    }
+
+    // Another save held the sheet for too long; nothing was written
+    if (result.code === 'SHEET_BUSY') {
+        await putOutboxEntry({ ...entry, lockedUntil: 0, attempts: (entry.attempts || 0) + 1, lastError: result.error });
+        return 'retry';
+    }
+
+    if ((result.isDuplicate && !entry.payload.force) || result.success === false) {
+        // Needs a decision from the user, so hand it back to the page
+        await putOutboxEntry({ ...entry, lockedUntil: 0, rejected: result });
+        return 'rejected';
+    }
+
+    await outboxRequest('readwrite', store => store.delete(id));
+    return 'synced';
+}
+
+// Take a short lease on an entry so the page and this worker never send the same receipt twice
+function claimOutboxEntry(id) {
+    return openDb().then(db => new Promise((resolve, reject) => {
+        const transaction = db.transaction(OUTBOX_STORE, 'readwrite');
+        const store = transaction.objectStore(OUTBOX_STORE);
+        let claimed = null;
+
+        store.get(id).onsuccess = (e) => {
+            const entry = e.target.result;
+            if (entry && !entry.rejected && !(entry.lockedUntil > Date.now())) {
+                claimed = { ...entry, lockedUntil: Date.now() + SEND_LEASE_MS };
+                store.put(claimed);
+            }
+        };
+        transaction.oncomplete = () => resolve(claimed);
+        transaction.onerror = () => reject(transaction.error);
+    }));
+}
+
+function putOutboxEntry(entry) {
+    return outboxRequest('readwrite', store => store.put(entry));
+}
+
+function outboxRequest(mode, makeRequest) {
+    return openDb().then(db => new Promise((resolve, reject) => {
+        const transaction = db.transaction(OUTBOX_STORE, mode);
+        const request = makeRequest(transaction.objectStore(OUTBOX_STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+    }));
+}
+
+// The page creates the stores; this only runs first if the worker wakes up before it ever has
+function openDb() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains('receipts')) {
+                db.createObjectStore('receipts', { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+                db.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains('fingerprints')) {
+                db.createObjectStore('fingerprints', { keyPath: 'queueId' });
+            }
+        };
+        request.onsuccess = () => {
+            request.result.onversionchange = () => request.result.close();
+            resolve(request.result);
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function notifyClients(message) {
+    return self.clients.matchAll({ type: 'window' }).then(clients => {
+        clients.forEach(client => client.postMessage(message));
+    });
+}